@@ -38,6 +38,18 @@ export async function authMiddleware(req, res, next) {
   }
 }
 
+/**
+ * Igual a authMiddleware, mas aceita também o token em ?access_token= (EventSource do navegador não
+ * envia headers). Usar só em rotas de stream (SSE).
+ */
+export function authMiddlewareAllowQueryToken(req, res, next) {
+  const queryToken = req.query.access_token;
+  if (!req.headers.authorization && typeof queryToken === "string" && queryToken) {
+    req.headers.authorization = `Bearer ${queryToken}`;
+  }
+  return authMiddleware(req, res, next);
+}
+
 /**
  * Verifica se o usuário pertence à organização (tabela organization_members).
  * @param {string} userId - UUID do usuário
@@ -0,0 +1,207 @@
+/**
+ * Avatares dos contatos (chat_contacts): a foto de perfil é buscada via Evolution, guardada no storage
+ * de mídia (mediaStorage.js) e servida por URL assinada, já que as URLs do WhatsApp expiram.
+ * avatar_checked_at registra a última consulta: o worker só revisa contatos com checagem vencida
+ * (AVATAR_REFRESH_HOURS) e as rotas sob demanda respeitam um intervalo mínimo menor.
+ */
+
+import { createHash } from "crypto";
+import { fetchProfilePicture } from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+import { saveMedia, getSignedMediaUrls, mediaExtension } from "./mediaStorage.js";
+
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 50;
+const PAGE_SIZE = 200;
+export const REFRESH_INTERVAL_MS =
+  (parseInt(process.env.AVATAR_REFRESH_HOURS, 10) || 24) * 60 * 60 * 1000;
+export const ON_DEMAND_COOLDOWN_MS = 5 * 60 * 1000;
+/** Pausa entre consultas à mesma instância (evita rajadas na Evolution/WhatsApp). */
+const REQUEST_INTERVAL_MS = 1000;
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 15 * 1000;
+const SIGNED_URL_EXPIRES_SECONDS = 60 * 60;
+
+const CONTACT_FIELDS = "id, remote_jid, avatar_url, avatar_hash, avatar_storage_path, avatar_checked_at";
+
+/** Inboxes com refresh em andamento neste processo (worker ou rota por inbox). */
+const runningInboxes = new Set();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function downloadImage(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (buffer.length > MAX_AVATAR_BYTES) throw new Error("Avatar maior que o limite");
+  return { buffer, mimetype: res.headers.get("content-type") || "image/jpeg" };
+}
+
+/**
+ * Atualiza o avatar de um contato.
+ * @param {object} contact - Linha de chat_contacts (CONTACT_FIELDS)
+ * @param {object} inbox - { id, organization_id, evolution_instance_name }
+ * @param {number} [minIntervalMs] - Não consulta a Evolution se a última checagem for mais recente
+ * @returns {Promise<{ status: "updated"|"unchanged"|"removed"|"skipped"|"failed", error?: string, checked_at?: string }>}
+ */
+export async function refreshContactAvatar(contact, inbox, minIntervalMs = REFRESH_INTERVAL_MS) {
+  const lastChecked = contact.avatar_checked_at ? new Date(contact.avatar_checked_at).getTime() : 0;
+  if (Date.now() - lastChecked < minIntervalMs) {
+    return { status: "skipped", checked_at: contact.avatar_checked_at };
+  }
+
+  const checkedAt = new Date().toISOString();
+  const record = async (status, fields = {}, error) => {
+    await supabaseAdmin
+      .from("chat_contacts")
+      .update({ ...fields, avatar_checked_at: checkedAt })
+      .eq("id", contact.id);
+    return { status, checked_at: checkedAt, ...(error && { error }) };
+  };
+
+  // Falhas também registram a checagem: o contato só volta a ser consultado após o intervalo
+  const result = await fetchProfilePicture(inbox.evolution_instance_name, contact.remote_jid);
+  if (!result.success) return record("failed", {}, result.error);
+
+  if (!result.url) {
+    if (!contact.avatar_url && !contact.avatar_storage_path) return record("unchanged");
+    return record("removed", { avatar_url: null, avatar_storage_path: null, avatar_hash: null });
+  }
+
+  let image;
+  try {
+    image = await downloadImage(result.url);
+  } catch (err) {
+    return record("failed", { avatar_url: result.url }, err.message);
+  }
+
+  const hash = createHash("sha256").update(image.buffer).digest("hex");
+  if (hash === contact.avatar_hash && contact.avatar_storage_path) {
+    return record("unchanged", { avatar_url: result.url });
+  }
+
+  const storagePath = `avatars/${inbox.organization_id}/${inbox.id}/${contact.id}.${mediaExtension(image.mimetype)}`;
+  const saved = await saveMedia(storagePath, image.buffer, image.mimetype);
+  if (!saved.success) return record("failed", { avatar_url: result.url }, saved.error);
+
+  return record("updated", {
+    avatar_url: result.url,
+    avatar_storage_path: saved.path,
+    avatar_hash: hash,
+    avatar_updated_at: checkedAt,
+  });
+}
+
+/**
+ * Troca avatar_url pela URL assinada do avatar em cache, quando houver (muta e devolve os contatos).
+ * avatar_storage_path não é exposto.
+ */
+export async function signAvatarUrls(contacts) {
+  const list = contacts.filter(Boolean);
+  const urls = await getSignedMediaUrls(
+    list.map((c) => c.avatar_storage_path),
+    SIGNED_URL_EXPIRES_SECONDS
+  );
+  for (const contact of list) {
+    if (contact.avatar_storage_path && urls.has(contact.avatar_storage_path)) {
+      contact.avatar_url = urls.get(contact.avatar_storage_path);
+    }
+    delete contact.avatar_storage_path;
+  }
+  return contacts;
+}
+
+/** Filtro PostgREST: contatos nunca checados ou com checagem anterior a `before`. */
+const staleFilter = (before) =>
+  `avatar_checked_at.is.null,avatar_checked_at.lt.${before.toISOString()}`;
+
+/** Percorre os contatos vencidos da inbox, um por vez. */
+async function refreshInbox(inbox, minIntervalMs) {
+  const counts = { updated: 0, unchanged: 0, removed: 0, skipped: 0, failed: 0 };
+  const before = new Date(Date.now() - minIntervalMs);
+  let lastId = null;
+  for (;;) {
+    let query = supabaseAdmin
+      .from("chat_contacts")
+      .select(CONTACT_FIELDS)
+      .eq("inbox_id", inbox.id)
+      .or(staleFilter(before))
+      .order("id", { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId) query = query.gt("id", lastId);
+    const { data: contacts, error } = await query;
+    if (error) throw error;
+    for (const contact of contacts || []) {
+      const result = await refreshContactAvatar(contact, inbox, minIntervalMs);
+      counts[result.status]++;
+      if (result.status !== "skipped") await sleep(REQUEST_INTERVAL_MS);
+    }
+    if (!contacts || contacts.length < PAGE_SIZE) return counts;
+    lastId = contacts[contacts.length - 1].id;
+  }
+}
+
+/**
+ * Inicia em background o refresh dos avatares vencidos da inbox.
+ * @returns {Promise<{ started: boolean, pending?: number }>} started false se já houver refresh na inbox
+ */
+export async function startInboxAvatarRefresh(inbox, minIntervalMs = ON_DEMAND_COOLDOWN_MS) {
+  if (runningInboxes.has(inbox.id)) return { started: false };
+  const { count } = await supabaseAdmin
+    .from("chat_contacts")
+    .select("id", { count: "exact", head: true })
+    .eq("inbox_id", inbox.id)
+    .or(staleFilter(new Date(Date.now() - minIntervalMs)));
+
+  runningInboxes.add(inbox.id);
+  refreshInbox(inbox, minIntervalMs)
+    .then((counts) => console.log("[avatars] Inbox atualizada:", { inboxId: inbox.id, ...counts }))
+    .catch((err) => console.error("[avatars] Erro na inbox:", inbox.id, err))
+    .finally(() => runningInboxes.delete(inbox.id));
+  return { started: true, pending: count ?? 0 };
+}
+
+/** Busca contatos com checagem vencida (inboxes conectadas) e atualiza, um por vez. */
+async function processStaleAvatars() {
+  const { data: contacts, error } = await supabaseAdmin
+    .from("chat_contacts")
+    .select(
+      `${CONTACT_FIELDS}, inbox:chat_inboxes!inner(id, organization_id, evolution_instance_name, connection_status)`
+    )
+    .eq("inbox.connection_status", "connected")
+    .or(staleFilter(new Date(Date.now() - REFRESH_INTERVAL_MS)))
+    .order("avatar_checked_at", { ascending: true, nullsFirst: true })
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+
+  for (const contact of contacts || []) {
+    if (runningInboxes.has(contact.inbox.id)) continue;
+    const result = await refreshContactAvatar(contact, contact.inbox);
+    if (result.status === "failed") {
+      console.warn("[avatars] Falha ao atualizar avatar:", contact.id, result.error);
+    }
+    await sleep(REQUEST_INTERVAL_MS);
+  }
+}
+
+/** Inicia o worker de avatares (no-op sem Supabase configurado). */
+export function startAvatarRefresher() {
+  if (!supabaseAdmin) {
+    console.warn("[avatars] Supabase não configurado; refresh de avatares desativado.");
+    return;
+  }
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processStaleAvatars();
+    } catch (err) {
+      console.error("[avatars] Erro:", err);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+}
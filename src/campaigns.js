@@ -0,0 +1,296 @@
+/**
+ * Campanhas (envio em massa) por inbox: tabelas chat_campaigns e chat_campaign_recipients.
+ * O público é resolvido no início (labels das conversas, contact_type e/ou ids de chat_contacts).
+ * O worker entrega um destinatário por vez a cada send_interval_seconds, criando a mensagem na
+ * conversa do contato e colocando-a na fila de envio (outbound.js).
+ * Status da campanha: draft → running ⇄ paused → completed | cancelled.
+ */
+
+import { supabaseAdmin } from "./supabase.js";
+import { queueOutgoingMessage } from "./outbound.js";
+import { getOrCreateConversation } from "./conversations.js";
+import { isValidUUID, renderTemplate, templateVars } from "./utils.js";
+
+const POLL_INTERVAL_MS = 2 * 1000;
+const PAGE_SIZE = 1000;
+/** Ids por .in() (limite de tamanho da URL do PostgREST). */
+const ID_CHUNK_SIZE = 200;
+export const MIN_SEND_INTERVAL_SECONDS = 2;
+export const DEFAULT_SEND_INTERVAL_SECONDS = 5;
+export const MAX_RECIPIENTS = 5000;
+
+/** Lê todas as páginas de uma query Supabase (limite de 1000 linhas por request). */
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Valida o público da campanha.
+ * @returns {{ audience?: object, error?: string }} audience = { labels?, contact_type?, contact_ids? }
+ */
+export function parseAudience(input) {
+  const audience = {};
+  if (input?.labels != null) {
+    if (!Array.isArray(input.labels) || input.labels.some((l) => typeof l !== "string")) {
+      return { error: "audience.labels must be an array of strings" };
+    }
+    if (input.labels.length) audience.labels = input.labels;
+  }
+  if (input?.contact_type != null) {
+    if (!["individual", "group"].includes(input.contact_type)) {
+      return { error: "audience.contact_type must be individual or group" };
+    }
+    audience.contact_type = input.contact_type;
+  }
+  if (input?.contact_ids != null) {
+    if (!Array.isArray(input.contact_ids) || input.contact_ids.some((id) => !isValidUUID(id))) {
+      return { error: "audience.contact_ids must be an array of UUIDs" };
+    }
+    if (input.contact_ids.length) audience.contact_ids = input.contact_ids;
+  }
+  if (!audience.labels && !audience.contact_type && !audience.contact_ids) {
+    return { error: "audience must include labels, contact_type or contact_ids" };
+  }
+  return { audience };
+}
+
+/**
+ * Contatos da inbox que atendem a todos os filtros do público.
+ * Com contact_ids e/ou labels, busca só esses ids (.in em lotes); senão pagina os contatos da inbox.
+ * @returns {Promise<Array<{ id, name, remote_jid, contact_type }>>}
+ */
+export async function resolveAudience(inboxId, audience) {
+  const contactsQuery = () => {
+    let q = supabaseAdmin
+      .from("chat_contacts")
+      .select("id, name, remote_jid, contact_type")
+      .eq("inbox_id", inboxId)
+      .order("id", { ascending: true });
+    if (audience.contact_type) q = q.eq("contact_type", audience.contact_type);
+    return q;
+  };
+
+  let ids = audience.contact_ids ? [...new Set(audience.contact_ids)] : null;
+  if (audience.labels) {
+    const convs = await fetchAllPages(() =>
+      supabaseAdmin
+        .from("chat_conversations")
+        .select("contact_id")
+        .eq("inbox_id", inboxId)
+        .overlaps("labels", audience.labels)
+        .order("id", { ascending: true })
+    );
+    const labeled = new Set(convs.map((c) => c.contact_id));
+    ids = ids ? ids.filter((id) => labeled.has(id)) : [...labeled];
+  }
+  if (!ids) return fetchAllPages(contactsQuery);
+
+  const contacts = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const { data, error } = await contactsQuery().in("id", ids.slice(i, i + ID_CHUNK_SIZE));
+    if (error) throw error;
+    contacts.push(...(data || []));
+  }
+  return contacts.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Materializa os destinatários e coloca a campanha em "running".
+ * @returns {Promise<{ total?: number, error?: string }>}
+ */
+export async function startCampaign(campaign, inbox) {
+  const contacts = await resolveAudience(inbox.id, campaign.audience || {});
+  if (contacts.length === 0) return { error: "Nenhum contato corresponde ao público da campanha" };
+  if (contacts.length > MAX_RECIPIENTS) {
+    return { error: `Público excede o limite de ${MAX_RECIPIENTS} contatos` };
+  }
+
+  // Reserva a campanha (draft → running, sem next_send_at: o worker ainda não a pega)
+  const { data: claimed } = await supabaseAdmin
+    .from("chat_campaigns")
+    .update({ status: "running", next_send_at: null, updated_at: new Date().toISOString() })
+    .eq("id", campaign.id)
+    .eq("status", "draft")
+    .select("id")
+    .maybeSingle();
+  if (!claimed) return { error: "Campanha já foi iniciada" };
+
+  try {
+    for (let i = 0; i < contacts.length; i += PAGE_SIZE) {
+      const { error } = await supabaseAdmin.from("chat_campaign_recipients").insert(
+        contacts.slice(i, i + PAGE_SIZE).map((c) => ({
+          campaign_id: campaign.id,
+          contact_id: c.id,
+          status: "pending",
+        }))
+      );
+      if (error) throw error;
+    }
+  } catch (err) {
+    await supabaseAdmin.from("chat_campaign_recipients").delete().eq("campaign_id", campaign.id);
+    await supabaseAdmin.from("chat_campaigns").update({ status: "draft" }).eq("id", campaign.id);
+    throw err;
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from("chat_campaigns")
+    .update({
+      total_recipients: contacts.length,
+      started_at: now,
+      next_send_at: now,
+      updated_at: now,
+    })
+    .eq("id", campaign.id);
+  if (error) throw error;
+  return { total: contacts.length };
+}
+
+/**
+ * Resumo por status dos destinatários. Destinatários já enfileirados refletem o status da mensagem
+ * (queued, sent, failed).
+ */
+export async function campaignStats(campaignId) {
+  const rows = await fetchAllPages(() =>
+    supabaseAdmin
+      .from("chat_campaign_recipients")
+      .select("id, status, message:chat_messages(status)")
+      .eq("campaign_id", campaignId)
+      .order("id", { ascending: true })
+  );
+  const stats = { pending: 0, sending: 0, queued: 0, sent: 0, failed: 0, skipped: 0 };
+  for (const row of rows) {
+    const status = recipientDeliveryStatus(row);
+    stats[status] = (stats[status] ?? 0) + 1;
+  }
+  return stats;
+}
+
+/** Status de entrega do destinatário (usa o status da mensagem depois de enfileirado). */
+export function recipientDeliveryStatus(recipient) {
+  if (recipient.status !== "queued") return recipient.status;
+  return recipient.message?.status ?? "queued";
+}
+
+/** Entrega o próximo destinatário pendente da campanha; conclui a campanha se não houver mais. */
+async function sendNextRecipient(campaign) {
+  const { data: recipient } = await supabaseAdmin
+    .from("chat_campaign_recipients")
+    .select("id, contact:chat_contacts(id, name, remote_jid)")
+    .eq("campaign_id", campaign.id)
+    .eq("status", "pending")
+    .order("created_at", { ascending: true })
+    .order("id", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  const now = new Date();
+  if (!recipient) {
+    await supabaseAdmin
+      .from("chat_campaigns")
+      .update({ status: "completed", completed_at: now.toISOString(), updated_at: now.toISOString() })
+      .eq("id", campaign.id)
+      .eq("status", "running");
+    return;
+  }
+
+  // Reserva o destinatário antes de enfileirar: se algo falhar depois do envio, ele fica em "sending"
+  // e não é entregue de novo no próximo tick
+  const { data: claimed } = await supabaseAdmin
+    .from("chat_campaign_recipients")
+    .update({ status: "sending", sent_at: now.toISOString() })
+    .eq("id", recipient.id)
+    .eq("status", "pending")
+    .select("id")
+    .maybeSingle();
+  if (!claimed) return;
+
+  // Pausa/cancelamento entre a leitura da campanha e a reserva: devolve o destinatário
+  const { data: current } = await supabaseAdmin
+    .from("chat_campaigns")
+    .select("status")
+    .eq("id", campaign.id)
+    .maybeSingle();
+  if (current?.status !== "running") {
+    await supabaseAdmin
+      .from("chat_campaign_recipients")
+      .update({ status: current?.status === "paused" ? "pending" : "skipped", sent_at: null })
+      .eq("id", recipient.id)
+      .eq("status", "sending");
+    return;
+  }
+
+  const updates = {};
+  try {
+    if (!recipient.contact?.remote_jid) throw new Error("Contato não encontrado");
+    const conversation = await getOrCreateConversation(campaign.inbox, recipient.contact.id);
+    if (!conversation) throw new Error("Falha ao criar conversa");
+    const text = renderTemplate(
+      campaign.message_template,
+      templateVars({ contact: recipient.contact, inbox: campaign.inbox })
+    ).trim();
+    if (!text) throw new Error("Mensagem vazia após aplicar o template");
+
+    const message = await queueOutgoingMessage(conversation.id, { content: text }, { text });
+    Object.assign(updates, { status: "queued", conversation_id: conversation.id, message_id: message.id });
+  } catch (err) {
+    Object.assign(updates, { status: "failed", error: err.message });
+  }
+
+  await supabaseAdmin
+    .from("chat_campaign_recipients")
+    .update(updates)
+    .eq("id", recipient.id)
+    .eq("status", "sending");
+
+  const intervalSeconds = campaign.send_interval_seconds || DEFAULT_SEND_INTERVAL_SECONDS;
+  await supabaseAdmin
+    .from("chat_campaigns")
+    .update({ next_send_at: new Date(now.getTime() + intervalSeconds * 1000).toISOString() })
+    .eq("id", campaign.id);
+}
+
+async function processRunningCampaigns() {
+  const { data: campaigns, error } = await supabaseAdmin
+    .from("chat_campaigns")
+    .select(
+      "id, message_template, send_interval_seconds, inbox:chat_inboxes(id, organization_id, name, connection_status)"
+    )
+    .eq("status", "running")
+    .lte("next_send_at", new Date().toISOString());
+  if (error) throw error;
+
+  for (const campaign of campaigns || []) {
+    // Inbox desconectada: aguarda (a campanha continua "running" e retoma quando reconectar)
+    if (campaign.inbox?.connection_status !== "connected") continue;
+    await sendNextRecipient(campaign);
+  }
+}
+
+/** Inicia o worker de campanhas (no-op sem Supabase configurado). */
+export function startCampaignWorker() {
+  if (!supabaseAdmin) {
+    console.warn("[campaigns] Supabase não configurado; campanhas desativadas.");
+    return;
+  }
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processRunningCampaigns();
+    } catch (err) {
+      console.error("[campaigns] Erro:", err);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+}
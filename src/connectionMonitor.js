@@ -0,0 +1,164 @@
+/**
+ * Monitor de conexão dos canais WhatsApp: consulta periodicamente cada inbox na Evolution, atualiza
+ * chat_inboxes.connection_status e registra cada transição em chat_inbox_status_history.
+ * As rotas que mudam o status (info, stream de conexão, reconnect) também registram via recordStatusChange.
+ * Evolution fora do ar não altera status: só estados explícitos da instância contam.
+ */
+
+import { getConnectionState, fetchInstanceInfo, formatBrazilianPhone } from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+
+const POLL_INTERVAL_MS =
+  (parseInt(process.env.CONNECTION_MONITOR_INTERVAL_SECONDS, 10) || 120) * 1000;
+const PAGE_SIZE = 200;
+/** Pausa entre inboxes (evita rajadas na Evolution). */
+const REQUEST_INTERVAL_MS = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * connection_status a partir do estado da instância na Evolution (open / close / connecting).
+ * "connecting" com o canal conectado é reconexão normal do socket: mantém "connected" (só "close" rebaixa).
+ */
+export function statusFromInstanceState(state, currentStatus) {
+  if (state === "open") return "connected";
+  if (state === "close") return "disconnected";
+  if (state === "connecting") return currentStatus === "connected" ? "connected" : "pending";
+  return null;
+}
+
+/**
+ * Registra a transição de status do canal (no-op se o status não mudou). Falhas só são logadas.
+ * @param {object} inbox - { id, organization_id }
+ * @param {string|null} previousStatus
+ * @param {string} status
+ * @param {{ source: "monitor"|"info"|"stream"|"reconnect", reason?: string|null }} meta
+ */
+export async function recordStatusChange(inbox, previousStatus, status, { source, reason = null }) {
+  if (!supabaseAdmin || !status || previousStatus === status) return;
+  const { error } = await supabaseAdmin.from("chat_inbox_status_history").insert({
+    inbox_id: inbox.id,
+    organization_id: inbox.organization_id,
+    previous_status: previousStatus ?? null,
+    status,
+    source,
+    reason,
+    created_at: new Date().toISOString(),
+  });
+  if (error) console.error("[connection-monitor] Erro ao gravar histórico:", inbox.id, error.message);
+}
+
+/**
+ * Estado atual da instância: getConnectionState e, quando não estiver conectada, fetchInstanceInfo para
+ * diferenciar "close" (deslogada) de "connecting".
+ * @returns {Promise<{ status: string|null, reason?: string, info?: object }>} status null = indeterminado
+ */
+async function checkInstance(instanceName, currentStatus) {
+  const state = await getConnectionState(instanceName);
+  if (state.state === "connected") return { status: "connected" };
+
+  const infoResult = await fetchInstanceInfo(instanceName);
+  if (!infoResult.success) {
+    if (infoResult.error === "Instance not found") return { status: "disconnected", reason: "instance_not_found" };
+    return { status: null, reason: infoResult.error };
+  }
+  const instanceState = infoResult.data?.instance?.state ?? infoResult.data?.connectionStatus;
+  return {
+    status: statusFromInstanceState(instanceState, currentStatus),
+    reason: instanceState ?? null,
+    info: infoResult.data,
+  };
+}
+
+/** Verifica um canal; grava o status e o histórico quando houver transição. */
+async function checkInbox(inbox) {
+  const result = await checkInstance(inbox.evolution_instance_name, inbox.connection_status);
+  const now = new Date().toISOString();
+  if (!result.status) {
+    console.warn("[connection-monitor] Estado indeterminado:", inbox.id, result.reason);
+    return "unknown";
+  }
+  if (result.status === inbox.connection_status) {
+    await supabaseAdmin.from("chat_inboxes").update({ connection_checked_at: now }).eq("id", inbox.id);
+    return "unchanged";
+  }
+
+  const updates = { connection_status: result.status, connection_checked_at: now, updated_at: now };
+  if (result.status === "connected") {
+    const infoResult = await fetchInstanceInfo(inbox.evolution_instance_name);
+    const info = infoResult.success ? infoResult.data || {} : {};
+    const jid = info.instance?.owner ?? info.ownerJid ?? null;
+    if (jid) {
+      updates.whatsapp_profile_name = info.instance?.profileName ?? info.profileName ?? null;
+      updates.whatsapp_phone_number = formatBrazilianPhone(jid) ?? null;
+      updates.whatsapp_jid = jid;
+    }
+  }
+  const { error } = await supabaseAdmin.from("chat_inboxes").update(updates).eq("id", inbox.id);
+  if (error) throw error;
+  await recordStatusChange(inbox, inbox.connection_status, result.status, {
+    source: "monitor",
+    reason: result.reason ?? null,
+  });
+  console.log("[connection-monitor] Status alterado:", {
+    inboxId: inbox.id,
+    from: inbox.connection_status,
+    to: result.status,
+  });
+  return "changed";
+}
+
+/** Percorre todos os canais WhatsApp com instância, em páginas (ordem por id). */
+async function checkAllInboxes() {
+  const counts = { checked: 0, changed: 0, unknown: 0 };
+  let lastId = null;
+  for (;;) {
+    let query = supabaseAdmin
+      .from("chat_inboxes")
+      .select("id, organization_id, evolution_instance_name, connection_status")
+      .eq("channel_type", "whatsapp")
+      .not("evolution_instance_name", "is", null)
+      .order("id", { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId) query = query.gt("id", lastId);
+    const { data: inboxes, error } = await query;
+    if (error) throw error;
+
+    for (const inbox of inboxes || []) {
+      try {
+        const outcome = await checkInbox(inbox);
+        counts.checked++;
+        if (outcome === "changed") counts.changed++;
+        if (outcome === "unknown") counts.unknown++;
+      } catch (err) {
+        console.error("[connection-monitor] Erro na inbox:", inbox.id, err);
+      }
+      await sleep(REQUEST_INTERVAL_MS);
+    }
+    if (!inboxes || inboxes.length < PAGE_SIZE) return counts;
+    lastId = inboxes[inboxes.length - 1].id;
+  }
+}
+
+/** Inicia o monitor de conexão (no-op sem Supabase configurado). */
+export function startConnectionMonitor() {
+  if (!supabaseAdmin) {
+    console.warn("[connection-monitor] Supabase não configurado; monitor de conexão desativado.");
+    return;
+  }
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await checkAllInboxes();
+      if (counts.changed || counts.unknown) console.log("[connection-monitor] Ciclo concluído:", counts);
+    } catch (err) {
+      console.error("[connection-monitor] Erro:", err);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+}
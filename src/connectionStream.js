@@ -0,0 +1,226 @@
+/**
+ * Stream (Server-Sent Events) da tela de conexão do canal: QR code / código de pareamento novos e
+ * mudanças de estado até o canal conectar, o cliente sair ou o tempo máximo acabar.
+ * Um único poller da Evolution por inbox, compartilhado por todos os clientes conectados a ela.
+ * O stream termina com o evento "end" ({ reason: connected | timeout | channel_removed }).
+ */
+
+import {
+  connectInstance,
+  getConnectionState,
+  fetchInstanceInfo,
+  formatBrazilianPhone,
+} from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+import { recordStatusChange } from "./connectionMonitor.js";
+
+const STATE_POLL_INTERVAL_MS = 3 * 1000;
+/** O QR da Evolution troca a cada ~20 s; o código de pareamento só é renovado quando expira. */
+const QR_REFRESH_INTERVAL_MS = 20 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const MAX_STREAM_MS = 5 * 60 * 1000;
+
+/** inbox_id → poller compartilhado. */
+const watchers = new Map();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/** Grava o canal como conectado com os dados do perfil (mesmos campos de GET /channels/:id/info). */
+async function markConnected(inbox) {
+  const infoResult = await fetchInstanceInfo(inbox.evolution_instance_name);
+  const info = infoResult.success ? infoResult.data || {} : {};
+  const jid = info.instance?.owner ?? info.ownerJid ?? null;
+  const updates = {
+    connection_status: "connected",
+    qr_code: null,
+    pairing_code: null,
+    pairing_code_expires_at: null,
+    whatsapp_profile_name: info.instance?.profileName ?? info.profileName ?? null,
+    whatsapp_profile_pic_url: info.instance?.profilePictureUrl ?? info.profilePicUrl ?? null,
+    whatsapp_phone_number: jid ? formatBrazilianPhone(jid) : null,
+    whatsapp_jid: jid,
+    updated_at: new Date().toISOString(),
+  };
+  await supabaseAdmin.from("chat_inboxes").update(updates).eq("id", inbox.id);
+  await recordStatusChange(inbox, inbox.connection_status, "connected", { source: "stream" });
+  return {
+    connection_status: "connected",
+    profile_name: updates.whatsapp_profile_name,
+    profile_pic_url: updates.whatsapp_profile_pic_url,
+    phone_number: updates.whatsapp_phone_number,
+    jid,
+  };
+}
+
+const INBOX_FIELDS = "id, organization_id, evolution_instance_name, connection_status, login_mode, pairing_phone_number";
+
+/** Evento final: o frontend deve fechar o EventSource (senão ele reconecta após `retry`). */
+function finish(client, reason, connectionStatus) {
+  send(client, "end", { reason, connection_status: connectionStatus });
+  client.end();
+}
+
+/** QR renovado a cada QR_REFRESH_INTERVAL_MS; código de pareamento só quando expira. */
+function codeExpired(watcher, pairing) {
+  if (!watcher.lastCode) return true;
+  if (pairing) {
+    const expiresAt = watcher.lastCode.pairingCodeExpiresAt;
+    return !expiresAt || new Date(expiresAt) <= new Date();
+  }
+  return Date.now() - watcher.codeFetchedAt >= QR_REFRESH_INTERVAL_MS;
+}
+
+function createWatcher(inboxId) {
+  const watcher = {
+    /** res → prazo (ms) do cliente */
+    clients: new Map(),
+    instanceName: null,
+    lastStatus: null,
+    lastCode: null,
+    codeFetchedAt: 0,
+  };
+  let running = false;
+  let timer = null;
+  let heartbeat = null;
+
+  const broadcast = (event, data) => {
+    for (const client of watcher.clients.keys()) send(client, event, data);
+  };
+  const stop = () => {
+    clearInterval(timer);
+    clearInterval(heartbeat);
+    if (watchers.get(inboxId) === watcher) watchers.delete(inboxId);
+  };
+  const closeAll = (reason, connectionStatus) => {
+    for (const client of watcher.clients.keys()) finish(client, reason, connectionStatus);
+    watcher.clients.clear();
+    stop();
+  };
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      for (const [client, deadline] of watcher.clients) {
+        if (deadline > now) continue;
+        watcher.clients.delete(client);
+        finish(client, "timeout", watcher.lastStatus?.connection_status ?? "pending");
+      }
+      if (watcher.clients.size === 0) {
+        stop();
+        return;
+      }
+
+      // Relido a cada ciclo: reconnect troca a instância e o modo de login pode mudar
+      const { data: inbox, error } = await supabaseAdmin
+        .from("chat_inboxes")
+        .select(INBOX_FIELDS)
+        .eq("id", inboxId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!inbox?.evolution_instance_name) {
+        closeAll("channel_removed", null);
+        return;
+      }
+      if (inbox.evolution_instance_name !== watcher.instanceName) {
+        watcher.instanceName = inbox.evolution_instance_name;
+        watcher.lastCode = null;
+        watcher.codeFetchedAt = 0;
+      }
+      const pairing = inbox.login_mode === "pairing_code" && inbox.pairing_phone_number;
+
+      const state = await getConnectionState(inbox.evolution_instance_name);
+      if (state.state === "connected") {
+        const status = await markConnected(inbox);
+        broadcast("status", status);
+        closeAll("connected", "connected");
+        return;
+      }
+      const status = { connection_status: state.state === "error" ? "error" : "pending" };
+      if (status.connection_status !== watcher.lastStatus?.connection_status) {
+        watcher.lastStatus = status;
+        broadcast("status", status);
+      }
+
+      if (state.state === "pending" && codeExpired(watcher, pairing)) {
+        const connectResult = await connectInstance(inbox.evolution_instance_name, {
+          number: pairing ? inbox.pairing_phone_number : null,
+        });
+        if (!connectResult.success) {
+          console.warn("[connection-stream] connectInstance failed:", inbox.id, connectResult.error);
+          return;
+        }
+        watcher.codeFetchedAt = Date.now();
+        const code = {
+          qrCode: connectResult.qrCode ?? null,
+          pairingCode: connectResult.pairingCode ?? null,
+          pairingCodeExpiresAt: connectResult.pairingCodeExpiresAt ?? null,
+        };
+        const changed =
+          code.qrCode !== watcher.lastCode?.qrCode || code.pairingCode !== watcher.lastCode?.pairingCode;
+        watcher.lastCode = code;
+        if (changed) {
+          await supabaseAdmin
+            .from("chat_inboxes")
+            .update({
+              qr_code: code.qrCode,
+              pairing_code: code.pairingCode,
+              pairing_code_expires_at: code.pairingCodeExpiresAt,
+              updated_at: new Date().toISOString(),
+            })
+            .eq("id", inbox.id);
+          broadcast("qrcode", code);
+        }
+      }
+    } catch (err) {
+      console.error("[connection-stream] Erro:", inboxId, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  watcher.stop = stop;
+  watcher.tick = tick;
+  timer = setInterval(tick, STATE_POLL_INTERVAL_MS);
+  // Comentário SSE periódico: proxies não derrubam a conexão ociosa
+  heartbeat = setInterval(() => {
+    for (const client of watcher.clients.keys()) client.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+  return watcher;
+}
+
+/**
+ * Abre o stream SSE para o cliente e o inscreve no poller da inbox (criado no primeiro cliente,
+ * encerrado quando o último sai). Quem chega depois recebe logo o último estado e QR conhecidos.
+ * Cada cliente tem o próprio prazo (MAX_STREAM_MS a partir de quando entrou).
+ * @param {object} inbox - { id }
+ * @param {import("express").Response} res
+ */
+export function subscribeConnectionEvents(inbox, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  let watcher = watchers.get(inbox.id);
+  const created = !watcher;
+  if (created) {
+    watcher = createWatcher(inbox.id);
+    watchers.set(inbox.id, watcher);
+  }
+  watcher.clients.set(res, Date.now() + MAX_STREAM_MS);
+  if (watcher.lastStatus) send(res, "status", watcher.lastStatus);
+  if (watcher.lastCode) send(res, "qrcode", watcher.lastCode);
+  if (created) watcher.tick();
+
+  res.on("close", () => {
+    watcher.clients.delete(res);
+    if (watcher.clients.size === 0) watcher.stop();
+  });
+}
@@ -0,0 +1,45 @@
+/**
+ * Helpers de chat_conversations compartilhados entre rotas e workers.
+ */
+
+import { supabaseAdmin } from "./supabase.js";
+
+/**
+ * Retorna a conversa do contato na inbox, criando-a (status "open") se não existir.
+ * @param {object} inbox - { id, organization_id }
+ * @param {string} contactId - id em chat_contacts
+ * @returns {Promise<{ id: string, created: boolean }|null>}
+ */
+export async function getOrCreateConversation(inbox, contactId) {
+  if (!contactId) return null;
+  const { data: existingConv } = await supabaseAdmin
+    .from("chat_conversations")
+    .select("id")
+    .eq("inbox_id", inbox.id)
+    .eq("contact_id", contactId)
+    .maybeSingle();
+  if (existingConv) return { id: existingConv.id, created: false };
+
+  const { data: newConv, error } = await supabaseAdmin
+    .from("chat_conversations")
+    .insert({
+      inbox_id: inbox.id,
+      contact_id: contactId,
+      organization_id: inbox.organization_id,
+      status: "open",
+    })
+    .select("id")
+    .single();
+  if (error?.code === "23505") {
+    // Criada por outra requisição entre a busca e o insert
+    const { data: concurrentConv } = await supabaseAdmin
+      .from("chat_conversations")
+      .select("id")
+      .eq("inbox_id", inbox.id)
+      .eq("contact_id", contactId)
+      .maybeSingle();
+    return concurrentConv ? { id: concurrentConv.id, created: false } : null;
+  }
+  if (error || !newConv?.id) return null;
+  return { id: newConv.id, created: true };
+}
@@ -1,30 +1,36 @@
 /**
  * Cliente Evolution API: criar instância, conectar e obter QR code.
  * Evolution v1/v2: create = POST /instance/create, connect = GET /instance/connect/:instanceName
+ * Cada chamada vai para o servidor Evolution da instância (evolutionServers.js).
  */
 
-const baseUrl =
-  process.env.EVOLUTION_API_URL ||
-  process.env.EVOLUTION_BASE_URL ||
-  "https://apiwpp.flunx.com.br";
-const apiKey = process.env.EVOLUTION_API_KEY || "";
+import {
+  defaultEvolutionServer,
+  rememberInstanceServer,
+  resolveInstanceServer,
+  UNKNOWN_SERVER_ERROR_CODE,
+} from "./evolutionServers.js";
 
-function headers() {
+// Reexportado para quem já importa daqui; a implementação fica em utils.js
+export { formatBrazilianPhone } from "./utils.js";
+
+function headers(server) {
   const h = { "Content-Type": "application/json" };
-  if (apiKey) h.apikey = apiKey;
+  if (server.apiKey) h.apikey = server.apiKey;
   return h;
 }
 
 /**
  * Cria uma instância na Evolution API.
  * @param {string} instanceName - Nome único da instância (slug)
+ * @param {object} [server] - Servidor escolhido (pickEvolutionServer); default o do .env
  * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
  */
-export async function createInstance(instanceName) {
+export async function createInstance(instanceName, server = defaultEvolutionServer) {
   try {
-    const res = await fetch(`${baseUrl}/instance/create`, {
+    const res = await fetch(`${server.baseUrl}/instance/create`, {
       method: "POST",
-      headers: headers(),
+      headers: headers(server),
       body: JSON.stringify({
         instanceName,
         integration: "WHATSAPP-BAILEYS",
@@ -35,6 +41,8 @@ export async function createInstance(instanceName) {
     if (!res.ok) {
       return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
     }
+    // Chamadas seguintes (connect, settings) acontecem antes de a inbox ser gravada
+    rememberInstanceServer(instanceName, server);
     return { success: true, data };
   } catch (e) {
     return { success: false, error: e.message || "Evolution createInstance failed" };
@@ -49,9 +57,10 @@ export async function createInstance(instanceName) {
  */
 export async function deleteInstance(instanceName) {
   try {
-    const res = await fetch(`${baseUrl}/instance/delete/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/instance/delete/${encodeURIComponent(instanceName)}`, {
       method: "DELETE",
-      headers: headers(),
+      headers: headers(server),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
@@ -63,17 +72,24 @@ export async function deleteInstance(instanceName) {
   }
 }
 
+/** Validade do código de pareamento: o WhatsApp o descarta junto com o QR (~60 s). */
+const PAIRING_CODE_TTL_MS = 60 * 1000;
+
 /**
- * Conecta a instância e retorna o QR code (base64 ou URL).
- * GET /instance/connect/:instanceName
+ * Conecta a instância e retorna o QR code (base64 ou URL) e, se informado o número, o código de pareamento
+ * (login digitando o código no WhatsApp do próprio celular, sem escanear QR).
+ * GET /instance/connect/:instanceName?number=5511999999999
  * @param {string} instanceName
- * @returns {Promise<{ success: boolean, qrCode?: string, connectionStatus?: string, error?: string }>}
+ * @param {object} [options] - { number } com DDI, só dígitos
+ * @returns {Promise<{ success: boolean, qrCode?: string, pairingCode?: string|null, pairingCodeExpiresAt?: string|null, connectionStatus?: string, error?: string }>}
  */
-export async function connectInstance(instanceName) {
+export async function connectInstance(instanceName, options = {}) {
   try {
-    const res = await fetch(`${baseUrl}/instance/connect/${instanceName}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const query = options.number ? `?number=${encodeURIComponent(options.number)}` : "";
+    const res = await fetch(`${server.baseUrl}/instance/connect/${instanceName}${query}`, {
       method: "GET",
-      headers: headers(),
+      headers: headers(server),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
@@ -82,7 +98,14 @@ export async function connectInstance(instanceName) {
     // Evolution já retorna base64 com prefixo data:image/png;base64, - não duplicar
     const qr = data?.base64 || data?.code || data?.qrCode || null;
     const state = data?.state || data?.connectionStatus || "pending";
-    return { success: true, qrCode: qr, connectionStatus: state };
+    const pairingCode = options.number ? data?.pairingCode ?? null : null;
+    return {
+      success: true,
+      qrCode: qr,
+      pairingCode,
+      pairingCodeExpiresAt: pairingCode ? new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString() : null,
+      connectionStatus: state,
+    };
   } catch (e) {
     return { success: false, error: e.message || "Evolution connect failed" };
   }
@@ -94,9 +117,10 @@ export async function connectInstance(instanceName) {
  */
 export async function getConnectionState(instanceName) {
   try {
-    const res = await fetch(`${baseUrl}/instance/connectionState/${instanceName}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/instance/connectionState/${instanceName}`, {
       method: "GET",
-      headers: headers(),
+      headers: headers(server),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) return { success: false, state: "error" };
@@ -108,23 +132,31 @@ export async function getConnectionState(instanceName) {
   }
 }
 
+/** Settings padrão de instância nova (tudo desligado), no formato da Evolution v2. */
+export const DEFAULT_INSTANCE_SETTINGS = {
+  rejectCall: false,
+  msgCall: "",
+  groupsIgnore: false,
+  alwaysOnline: false,
+  readMessages: false,
+  syncFullHistory: false,
+  readStatus: false,
+};
+
 /**
- * Configura settings da instância (Reject Calls, Ignore Groups, etc. = false).
+ * Configura settings da instância (campos omitidos usam DEFAULT_INSTANCE_SETTINGS).
  * Evolution v2: POST /settings/set/{instanceName}
+ * @param {string} instanceName
+ * @param {object} [settings] - { rejectCall, msgCall, groupsIgnore, alwaysOnline, readMessages, syncFullHistory, readStatus }
+ * @returns {Promise<{ success: boolean, error?: string }>}
  */
-export async function setInstanceSettings(instanceName) {
+export async function setInstanceSettings(instanceName, settings = {}) {
   try {
-    const body = {
-      rejectCalls: false,
-      ignoreGroups: false,
-      alwaysOnline: false,
-      readMessages: false,
-      syncFullHistory: false,
-      readStatus: false,
-    };
-    const res = await fetch(`${baseUrl}/settings/set/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const body = { ...DEFAULT_INSTANCE_SETTINGS, ...settings };
+    const res = await fetch(`${server.baseUrl}/settings/set/${encodeURIComponent(instanceName)}`, {
       method: "POST",
-      headers: headers(),
+      headers: headers(server),
       body: JSON.stringify(body),
     });
     const data = await res.json().catch(() => ({}));
@@ -137,6 +169,28 @@ export async function setInstanceSettings(instanceName) {
   }
 }
 
+/**
+ * Settings atuais da instância.
+ * Evolution v2: GET /settings/find/{instanceName}
+ * @returns {Promise<{ success: boolean, settings?: object, error?: string, status?: number }>}
+ */
+export async function findInstanceSettings(instanceName) {
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/settings/find/${encodeURIComponent(instanceName)}`, {
+      method: "GET",
+      headers: headers(server),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, settings: data?.settings ?? data ?? {} };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution findInstanceSettings failed" };
+  }
+}
+
 /**
  * Busca informações completas de uma instância conectada.
  * GET /instance/fetchInstances?instanceName=xxx
@@ -146,9 +200,10 @@ export async function setInstanceSettings(instanceName) {
  */
 export async function fetchInstanceInfo(instanceName) {
   try {
-    const res = await fetch(`${baseUrl}/instance/fetchInstances?instanceName=${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/instance/fetchInstances?instanceName=${encodeURIComponent(instanceName)}`, {
       method: "GET",
-      headers: headers(),
+      headers: headers(server),
     });
     const data = await res.json().catch(() => ([]));
     if (!res.ok) {
@@ -173,9 +228,10 @@ export async function fetchInstanceInfo(instanceName) {
  */
 export async function logoutInstance(instanceName) {
   try {
-    const res = await fetch(`${baseUrl}/instance/logout/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/instance/logout/${encodeURIComponent(instanceName)}`, {
       method: "DELETE",
-      headers: headers(),
+      headers: headers(server),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
@@ -188,23 +244,20 @@ export async function logoutInstance(instanceName) {
 }
 
 /**
- * Formata um número de telefone brasileiro para exibição.
- * Ex: 5562999288205 -> (62) 99928-8205
- * @param {string} jid - JID completo (ex: 5562999288205@s.whatsapp.net)
- * @returns {string} Número formatado
+ * Falhas em que a requisição nem chegou à Evolution (rede, ou servidor da instância não resolvido):
+ * reenviar não duplica a mensagem.
  */
-export function formatBrazilianPhone(jid) {
-  if (!jid) return "";
-  // Remove @s.whatsapp.net e 55 do início
-  const number = jid.replace(/@.*$/, "").replace(/^55/, "");
-  if (number.length === 11) {
-    // Celular: (XX) XXXXX-XXXX
-    return `(${number.slice(0, 2)}) ${number.slice(2, 7)}-${number.slice(7)}`;
-  } else if (number.length === 10) {
-    // Fixo: (XX) XXXX-XXXX
-    return `(${number.slice(0, 2)}) ${number.slice(2, 6)}-${number.slice(6)}`;
-  }
-  return number;
+const NOT_SENT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  UNKNOWN_SERVER_ERROR_CODE,
+]);
+
+function requestNotSent(e) {
+  return NOT_SENT_ERROR_CODES.has(e?.cause?.code ?? e?.code);
 }
 
 /**
@@ -213,17 +266,156 @@ export function formatBrazilianPhone(jid) {
  * @param {string} instanceName - Nome da instância Evolution
  * @param {string} number - Número com DDI (ex.: 5511999999999), sem @s.whatsapp.net
  * @param {string} text - Texto da mensagem
- * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
+ * @param {object} [options] - { quoted?: { key, message } } para responder citando uma mensagem
+ * @returns {Promise<{ success: boolean, data?: object, error?: string, status?: number, notSent?: boolean }>}
+ *   Sem status e sem notSent (ex.: timeout), a mensagem pode ter sido enviada.
  */
-export async function sendText(instanceName, number, text) {
+export async function sendText(instanceName, number, text, options = {}) {
   if (!instanceName || !number || text == null) {
     return { success: false, error: "instanceName, number and text are required" };
   }
   try {
-    const res = await fetch(`${baseUrl}/message/sendText/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/message/sendText/${encodeURIComponent(instanceName)}`, {
+      method: "POST",
+      headers: headers(server),
+      body: JSON.stringify({
+        number: String(number).trim(),
+        text: String(text),
+        ...(options.quoted && { quoted: options.quoted }),
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution sendText failed", notSent: requestNotSent(e) };
+  }
+}
+
+/**
+ * Envia mídia (imagem, vídeo ou documento) via Evolution API.
+ * POST /message/sendMedia/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {string} number - Número com DDI, sem @s.whatsapp.net
+ * @param {object} media - { mediatype: "image"|"video"|"document", media: URL ou base64, mimetype?, fileName?, caption? }
+ * @param {object} [options] - { quoted?: { key, message } }
+ * @returns {Promise<{ success: boolean, data?: object, error?: string, status?: number, notSent?: boolean }>}
+ */
+export async function sendMedia(instanceName, number, media, options = {}) {
+  if (!instanceName || !number || !media?.media || !media?.mediatype) {
+    return { success: false, error: "instanceName, number, mediatype and media are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const body = {
+      number: String(number).trim(),
+      mediatype: media.mediatype,
+      media: media.media,
+    };
+    if (media.mimetype) body.mimetype = media.mimetype;
+    if (media.fileName) body.fileName = media.fileName;
+    if (media.caption) body.caption = String(media.caption);
+    if (options.quoted) body.quoted = options.quoted;
+    const res = await fetch(`${server.baseUrl}/message/sendMedia/${encodeURIComponent(instanceName)}`, {
+      method: "POST",
+      headers: headers(server),
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution sendMedia failed", notSent: requestNotSent(e) };
+  }
+}
+
+/**
+ * Envia áudio como mensagem de voz (PTT) via Evolution API.
+ * POST /message/sendWhatsAppAudio/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {string} number - Número com DDI, sem @s.whatsapp.net
+ * @param {string} audio - URL ou base64 do áudio
+ * @param {object} [options] - { quoted?: { key, message } }
+ * @returns {Promise<{ success: boolean, data?: object, error?: string, status?: number, notSent?: boolean }>}
+ */
+export async function sendAudio(instanceName, number, audio, options = {}) {
+  if (!instanceName || !number || !audio) {
+    return { success: false, error: "instanceName, number and audio are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/message/sendWhatsAppAudio/${encodeURIComponent(instanceName)}`, {
+      method: "POST",
+      headers: headers(server),
+      body: JSON.stringify({
+        number: String(number).trim(),
+        audio,
+        ...(options.quoted && { quoted: options.quoted }),
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution sendAudio failed", notSent: requestNotSent(e) };
+  }
+}
+
+/**
+ * Reage a uma mensagem com emoji (ou remove a reação com string vazia).
+ * POST /message/sendReaction/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {object} key - { remoteJid, fromMe, id, participant? } da mensagem alvo
+ * @param {string} reaction - Emoji; "" remove a reação
+ * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
+ */
+export async function sendReaction(instanceName, key, reaction) {
+  if (!instanceName || !key?.id || !key?.remoteJid || reaction == null) {
+    return { success: false, error: "instanceName, key and reaction are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/message/sendReaction/${encodeURIComponent(instanceName)}`, {
+      method: "POST",
+      headers: headers(server),
+      body: JSON.stringify({ key, reaction: String(reaction) }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution sendReaction failed" };
+  }
+}
+
+/**
+ * Edita o texto de uma mensagem enviada.
+ * POST /chat/updateMessage/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {string} number - Número com DDI, sem @s.whatsapp.net
+ * @param {object} key - { remoteJid, fromMe, id } da mensagem
+ * @param {string} text - Novo texto
+ * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
+ */
+export async function updateMessage(instanceName, number, key, text) {
+  if (!instanceName || !number || !key?.id || text == null) {
+    return { success: false, error: "instanceName, number, key and text are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/chat/updateMessage/${encodeURIComponent(instanceName)}`, {
       method: "POST",
-      headers: headers(),
-      body: JSON.stringify({ number: String(number).trim(), text: String(text) }),
+      headers: headers(server),
+      body: JSON.stringify({ number: String(number).trim(), key, text: String(text) }),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
@@ -231,26 +423,122 @@ export async function sendText(instanceName, number, text) {
     }
     return { success: true, data };
   } catch (e) {
-    return { success: false, error: e.message || "Evolution sendText failed" };
+    return { success: false, error: e.message || "Evolution updateMessage failed" };
   }
 }
 
 /**
- * Busca todos os chats da instância Evolution.
+ * Apaga uma mensagem para todos (revoke).
+ * DELETE /chat/deleteMessageForEveryone/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {object} key - { remoteJid, fromMe, id, participant? } da mensagem
+ * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
+ */
+export async function deleteMessageForEveryone(instanceName, key) {
+  if (!instanceName || !key?.id || !key?.remoteJid) {
+    return { success: false, error: "instanceName and key are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/chat/deleteMessageForEveryone/${encodeURIComponent(instanceName)}`, {
+      method: "DELETE",
+      headers: headers(server),
+      body: JSON.stringify(key),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution deleteMessageForEveryone failed" };
+  }
+}
+
+/**
+ * Baixa a mídia de uma mensagem em base64.
+ * POST /chat/getBase64FromMediaMessage/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {object} key - { id, remoteJid?, fromMe? } da mensagem
+ * @returns {Promise<{ success: boolean, data?: { base64: string, mimetype?: string, fileName?: string }, error?: string }>}
+ */
+export async function getBase64FromMediaMessage(instanceName, key) {
+  if (!instanceName || !key?.id) {
+    return { success: false, error: "instanceName and key are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/chat/getBase64FromMediaMessage/${encodeURIComponent(instanceName)}`, {
+      method: "POST",
+      headers: headers(server),
+      body: JSON.stringify({ message: { key }, convertToMp4: false }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    if (!data?.base64) {
+      return { success: false, error: "Evolution did not return media" };
+    }
+    return { success: true, data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution getBase64FromMediaMessage failed" };
+  }
+}
+
+/**
+ * Verifica se números têm WhatsApp.
+ * POST /chat/whatsappNumbers/{instanceName}
+ * @param {string} instanceName - Nome da instância Evolution
+ * @param {string[]} numbers - Números com DDI
+ * @returns {Promise<{ success: boolean, results?: Array<{ exists: boolean, jid: string, number: string }>, error?: string }>}
+ */
+export async function checkWhatsappNumbers(instanceName, numbers) {
+  if (!instanceName || !Array.isArray(numbers) || numbers.length === 0) {
+    return { success: false, error: "instanceName and numbers are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/chat/whatsappNumbers/${encodeURIComponent(instanceName)}`, {
+      method: "POST",
+      headers: headers(server),
+      body: JSON.stringify({ numbers }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    const results = Array.isArray(data) ? data : data?.data ?? [];
+    return { success: true, results };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution checkWhatsappNumbers failed" };
+  }
+}
+
+/**
+ * Busca chats da instância Evolution (mais recentes primeiro).
  * POST /chat/findChats/{instanceName}
- * Retorna lista de chats com id, remoteJid, name, unreadCount, etc.
+ * Body: { where: {}, skip?: number, take?: number }
+ * Retorna lista de chats com id, remoteJid, name, unreadCount, updatedAt, lastMessage, etc.
  * @param {string} instanceName - Nome da instância
+ * @param {{ skip?: number, take?: number }} [page] - Paginação (sem take, a Evolution devolve todos)
  * @returns {Promise<{ success: boolean, chats?: array, error?: string }>}
  */
-export async function findChats(instanceName) {
+export async function findChats(instanceName, page = {}) {
   if (!instanceName) {
     return { success: false, error: "instanceName is required" };
   }
   try {
-    const res = await fetch(`${baseUrl}/chat/findChats/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const body = { where: {} };
+    if (page.take) {
+      body.take = page.take;
+      body.skip = page.skip ?? 0;
+    }
+    const res = await fetch(`${server.baseUrl}/chat/findChats/${encodeURIComponent(instanceName)}`, {
       method: "POST",
-      headers: headers(),
-      body: JSON.stringify({}),
+      headers: headers(server),
+      body: JSON.stringify(body),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
@@ -280,9 +568,10 @@ export async function findContacts(instanceName) {
     return { success: false, error: "instanceName is required" };
   }
   try {
-    const res = await fetch(`${baseUrl}/chat/findContacts/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(`${server.baseUrl}/chat/findContacts/${encodeURIComponent(instanceName)}`, {
       method: "POST",
-      headers: headers(),
+      headers: headers(server),
       body: JSON.stringify({}),
     });
     const data = await res.json().catch(() => ({}));
@@ -302,19 +591,23 @@ export async function findContacts(instanceName) {
 
 /**
  * Busca todos os grupos da instância Evolution.
- * GET /group/fetchAllGroups/{instanceName}
- * Retorna lista de grupos com id (remoteJid), subject (nome), etc.
+ * GET /group/fetchAllGroups/{instanceName}?getParticipants=true|false
+ * Retorna lista de grupos com id (remoteJid), subject (nome), desc, owner, size e, se pedido,
+ * participants ([{ id, admin: "admin"|"superadmin"|null }]).
  * @param {string} instanceName - Nome da instância
+ * @param {{ participants?: boolean }} [options]
  * @returns {Promise<{ success: boolean, groups?: array, error?: string }>}
  */
-export async function fetchAllGroups(instanceName) {
+export async function fetchAllGroups(instanceName, options = {}) {
   if (!instanceName) {
     return { success: false, error: "instanceName is required" };
   }
   try {
-    const res = await fetch(`${baseUrl}/group/fetchAllGroups/${encodeURIComponent(instanceName)}`, {
+    const server = await resolveInstanceServer(instanceName);
+    const query = `getParticipants=${options.participants ? "true" : "false"}`;
+    const res = await fetch(`${server.baseUrl}/group/fetchAllGroups/${encodeURIComponent(instanceName)}?${query}`, {
       method: "GET",
-      headers: headers(),
+      headers: headers(server),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
@@ -332,26 +625,59 @@ export async function fetchAllGroups(instanceName) {
 }
 
 /**
- * Busca mensagens de um chat na Evolution.
+ * Busca metadados e participantes de um grupo.
+ * GET /group/findGroupInfos/{instanceName}?groupJid=...
+ * @param {string} instanceName - Nome da instância
+ * @param {string} groupJid - JID do grupo (…@g.us)
+ * @returns {Promise<{ success: boolean, group?: object, error?: string }>}
+ */
+export async function findGroupInfo(instanceName, groupJid) {
+  if (!instanceName || !groupJid) {
+    return { success: false, error: "instanceName and groupJid are required" };
+  }
+  try {
+    const server = await resolveInstanceServer(instanceName);
+    const res = await fetch(
+      `${server.baseUrl}/group/findGroupInfos/${encodeURIComponent(instanceName)}?groupJid=${encodeURIComponent(groupJid)}`,
+      { method: "GET", headers: headers(server) }
+    );
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, group: data };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution findGroupInfos failed" };
+  }
+}
+
+/**
+ * Busca uma página de mensagens de um chat na Evolution (mais recentes primeiro).
  * POST /chat/findMessages/{instanceName}
- * Body: { where: { key: { remoteJid: "..." } }, limit?: number }
+ * Body: { where: { key: { remoteJid }, messageTimestamp?: { gte } }, page, offset }
  * @param {string} instanceName - Nome da instância
  * @param {string} remoteJid - JID do chat (ex: 5562999999999@s.whatsapp.net)
- * @param {number} [limit=50] - Limite de mensagens (Evolution costuma aceitar até 500+)
- * @returns {Promise<{ success: boolean, messages?: array, error?: string }>}
+ * @param {{ page?: number, pageSize?: number, sinceTimestamp?: number }} [options] - page começa em 1;
+ *   sinceTimestamp (segundos) limita às mensagens a partir desse instante
+ * @returns {Promise<{ success: boolean, messages?: array, pages?: number|null, error?: string }>}
  */
-export async function findMessages(instanceName, remoteJid, limit = 50) {
+export async function findMessages(instanceName, remoteJid, options = {}) {
   if (!instanceName || !remoteJid) {
     return { success: false, error: "instanceName and remoteJid are required" };
   }
+  const { page = 1, pageSize = 100, sinceTimestamp } = options;
   try {
+    const server = await resolveInstanceServer(instanceName);
+    const where = { key: { remoteJid } };
+    if (sinceTimestamp != null) where.messageTimestamp = { gte: Math.floor(sinceTimestamp) };
     const body = {
-      where: { key: { remoteJid } },
-      limit: Math.min(Math.max(limit, 1), 500),
+      where,
+      page,
+      offset: Math.min(Math.max(pageSize, 1), 500),
     };
-    const res = await fetch(`${baseUrl}/chat/findMessages/${encodeURIComponent(instanceName)}`, {
+    const res = await fetch(`${server.baseUrl}/chat/findMessages/${encodeURIComponent(instanceName)}`, {
       method: "POST",
-      headers: headers(),
+      headers: headers(server),
       body: JSON.stringify(body),
     });
     const data = await res.json().catch(() => ({}));
@@ -362,8 +688,11 @@ export async function findMessages(instanceName, remoteJid, limit = 50) {
         status: res.status,
       };
     }
-    const messages = Array.isArray(data) ? data : data?.messages ?? data?.data ?? [];
-    return { success: true, messages };
+    // v2 devolve { messages: { total, pages, currentPage, records } }; versões antigas, um array
+    const payload = Array.isArray(data) ? data : data?.messages ?? data?.data ?? [];
+    const messages = Array.isArray(payload) ? payload : payload?.records ?? [];
+    const pages = Array.isArray(payload) ? null : payload?.pages ?? null;
+    return { success: true, messages, pages };
   } catch (e) {
     return { success: false, error: e.message || "Evolution findMessages failed" };
   }
@@ -374,27 +703,32 @@ export async function findMessages(instanceName, remoteJid, limit = 50) {
  * POST /chat/fetchProfilePictureUrl/:instanceName
  * @param {string} instanceName - Nome da instância
  * @param {string} remoteJid - JID (ex.: 5511999999999@s.whatsapp.net)
- * @returns {Promise<string|null>} URL da foto ou null
+ * @returns {Promise<{ success: boolean, url?: string|null, error?: string }>} url null = contato sem foto (ou privada)
  */
 export async function fetchProfilePicture(instanceName, remoteJid) {
-  if (!instanceName || !remoteJid) return null;
+  if (!instanceName || !remoteJid) {
+    return { success: false, error: "instanceName and remoteJid are required" };
+  }
   try {
+    const server = await resolveInstanceServer(instanceName);
     const res = await fetch(
-      `${baseUrl}/chat/fetchProfilePictureUrl/${encodeURIComponent(instanceName)}`,
+      `${server.baseUrl}/chat/fetchProfilePictureUrl/${encodeURIComponent(instanceName)}`,
       {
         method: "POST",
-        headers: headers(),
+        headers: headers(server),
         body: JSON.stringify({ number: remoteJid }),
       }
     );
     const data = await res.json().catch(() => ({}));
-    return data?.profilePictureUrl ?? data?.profilePicture ?? null;
-  } catch {
-    return null;
+    if (!res.ok) {
+      return { success: false, error: data?.message || data?.error || `HTTP ${res.status}`, status: res.status };
+    }
+    return { success: true, url: data?.profilePictureUrl ?? data?.profilePicture ?? null };
+  } catch (e) {
+    return { success: false, error: e.message || "Evolution fetchProfilePictureUrl failed" };
   }
 }
 
 /** Alias para compatibilidade com a especificação (§ 6). */
 export { sendText as sendTextMessage };
 
-export { baseUrl as evolutionBaseUrl };
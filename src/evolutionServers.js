@@ -0,0 +1,146 @@
+/**
+ * Registro de servidores Evolution (tabela evolution_servers): URL, API key e capacidade (max_instances).
+ * Cada canal guarda o seu em chat_inboxes.evolution_server_id e todas as chamadas de evolution.js vão para
+ * o servidor da instância. Canais sem servidor (anteriores ao registro) e instalações sem servidores
+ * cadastrados usam EVOLUTION_API_URL / EVOLUTION_API_KEY.
+ */
+
+import { supabaseAdmin } from "./supabase.js";
+
+/** Servidor do .env (fallback). */
+export const defaultEvolutionServer = {
+  id: null,
+  name: "default",
+  baseUrl: (
+    process.env.EVOLUTION_API_URL ||
+    process.env.EVOLUTION_BASE_URL ||
+    "https://apiwpp.flunx.com.br"
+  ).replace(/\/+$/, ""),
+  apiKey: process.env.EVOLUTION_API_KEY || "",
+  isActive: true,
+};
+
+const SERVER_FIELDS = "id, name, base_url, api_key, is_active";
+/** Instância → servidor não muda (reconnect cria outra instância); o cache só evita uma consulta por chamada. */
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+/** instance name → { server, expiresAt } */
+const instanceServers = new Map();
+
+function toServer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    baseUrl: row.base_url.replace(/\/+$/, ""),
+    apiKey: row.api_key || "",
+    isActive: row.is_active !== false,
+  };
+}
+
+/** Associa a instância ao servidor (instância recém-criada, antes de a inbox existir no banco). */
+export function rememberInstanceServer(instanceName, server) {
+  instanceServers.set(instanceName, { server, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+/** Código do erro de resolveInstanceServer para evolution_base_url sem servidor cadastrado. */
+export const UNKNOWN_SERVER_ERROR_CODE = "EVOLUTION_SERVER_UNKNOWN";
+
+/**
+ * Servidor Evolution da instância, pela inbox dona dela (evolution_server_id; na falta, evolution_base_url
+ * de um servidor cadastrado). Sem registro, o servidor do .env.
+ * @param {string} instanceName
+ * @returns {Promise<{ id: string|null, name: string, baseUrl: string, apiKey: string, isActive: boolean }>}
+ * @throws {Error} code UNKNOWN_SERVER_ERROR_CODE se evolution_base_url não for o .env nem um servidor
+ *   cadastrado (a instância não está no servidor do .env; nada é cacheado)
+ */
+export async function resolveInstanceServer(instanceName) {
+  const cached = instanceServers.get(instanceName);
+  if (cached && cached.expiresAt > Date.now()) return cached.server;
+  if (!supabaseAdmin || !instanceName) return defaultEvolutionServer;
+
+  const { data: inbox, error } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select(`evolution_server_id, evolution_base_url, server:evolution_servers(${SERVER_FIELDS})`)
+    .eq("evolution_instance_name", instanceName)
+    .maybeSingle();
+  if (error) {
+    // Sem cache: a próxima chamada tenta de novo
+    console.warn("[evolution-servers] Falha ao resolver servidor:", instanceName, error.message);
+    return defaultEvolutionServer;
+  }
+
+  let server = inbox?.server ? toServer(inbox.server) : null;
+  const legacyUrl = inbox?.evolution_base_url?.replace(/\/+$/, "");
+  if (!server && legacyUrl && legacyUrl !== defaultEvolutionServer.baseUrl) {
+    const { data: row } = await supabaseAdmin
+      .from("evolution_servers")
+      .select(SERVER_FIELDS)
+      .in("base_url", [legacyUrl, `${legacyUrl}/`])
+      .limit(1)
+      .maybeSingle();
+    if (!row) {
+      console.warn("[evolution-servers] evolution_base_url sem servidor cadastrado:", instanceName, legacyUrl);
+      const err = new Error(`Servidor Evolution não cadastrado: ${legacyUrl}`);
+      err.code = UNKNOWN_SERVER_ERROR_CODE;
+      throw err;
+    }
+    server = toServer(row);
+  }
+  server = server || defaultEvolutionServer;
+  rememberInstanceServer(instanceName, server);
+  return server;
+}
+
+/**
+ * Instâncias no servidor: inboxes com evolution_server_id dele e, como em resolveInstanceServer, inboxes
+ * antigas (evolution_server_id nulo) com evolution_base_url dele — ou sem URL, se ele for o servidor do .env.
+ */
+async function countServerInstances(row) {
+  const baseUrl = row.base_url.replace(/\/+$/, "");
+  const countInboxes = async (filter) => {
+    const { count, error } = await filter(
+      supabaseAdmin
+        .from("chat_inboxes")
+        .select("id", { count: "exact", head: true })
+        .not("evolution_instance_name", "is", null)
+    );
+    if (error) throw error;
+    return count ?? 0;
+  };
+  const counts = await Promise.all([
+    countInboxes((query) => query.eq("evolution_server_id", row.id)),
+    countInboxes((query) => query.is("evolution_server_id", null).in("evolution_base_url", [baseUrl, `${baseUrl}/`])),
+    baseUrl === defaultEvolutionServer.baseUrl
+      ? countInboxes((query) => query.is("evolution_server_id", null).is("evolution_base_url", null))
+      : 0,
+  ]);
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Servidor ativo menos ocupado (instâncias / max_instances) com vaga, para uma instância nova.
+ * max_instances nulo = sem limite (ocupação 0; entre eles, o com menos instâncias).
+ * Sem servidores cadastrados, o do .env.
+ * @returns {Promise<{ server?: object, error?: string }>} error quando todos estão lotados
+ */
+export async function pickEvolutionServer() {
+  if (!supabaseAdmin) return { server: defaultEvolutionServer };
+  const { data: servers, error } = await supabaseAdmin
+    .from("evolution_servers")
+    .select(`${SERVER_FIELDS}, max_instances`)
+    .eq("is_active", true);
+  if (error) throw error;
+  if (!servers || servers.length === 0) return { server: defaultEvolutionServer };
+
+  const loads = await Promise.all(
+    servers.map(async (row) => ({ row, count: await countServerInstances(row) }))
+  );
+  const ratio = ({ row, count }) => (row.max_instances == null ? 0 : count / row.max_instances);
+  const available = loads
+    .filter(({ row, count }) => row.max_instances == null || count < row.max_instances)
+    .sort((a, b) => ratio(a) - ratio(b) || a.count - b.count);
+  if (available.length === 0) {
+    return { error: "Todos os servidores Evolution estão na capacidade máxima" };
+  }
+  return { server: toServer(available[0].row) };
+}
@@ -0,0 +1,515 @@
+/**
+ * Exportação do histórico (transcrições para disputas/auditoria) em JSON, CSV ou .txt no estilo do
+ * WhatsApp. Conversas e inboxes pequenas saem em streaming na própria resposta; inboxes grandes viram
+ * job em background (chat_export_jobs) que grava o arquivo no storage de mídia para download.
+ */
+
+import { createWriteStream } from "fs";
+import { mkdtemp, rm, stat } from "fs/promises";
+import { once } from "events";
+import os from "os";
+import path from "path";
+import { supabaseAdmin } from "./supabase.js";
+import { saveMediaFile, getSignedMediaUrl } from "./mediaStorage.js";
+import { participantDirectory } from "./groups.js";
+
+export const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+};
+/** Acima deste total de mensagens a exportação da inbox roda como job em background. */
+export const EXPORT_STREAM_MAX_MESSAGES = parseInt(process.env.EXPORT_STREAM_MAX_MESSAGES, 10) || 5000;
+export const EXPORT_JOB_FIELDS =
+  "id, inbox_id, status, format, options, messages_exported, file_size, error, created_by, created_at, started_at, finished_at";
+
+const DEFAULT_TIMEZONE = "America/Sao_Paulo";
+const PAGE_SIZE = 1000;
+const PROGRESS_FLUSH_MS = 2 * 1000;
+const DOWNLOAD_URL_EXPIRES_SECONDS = 60 * 60;
+const ACTIVE_STATUSES = ["queued", "running"];
+const MESSAGE_FIELDS =
+  "id, conversation_id, content, direction, message_type, status, created_at, participant_remote_jid, media_file_name, media_mimetype, reply_to_message_id, edited_at, is_revoked, payload";
+const CSV_COLUMNS = [
+  "conversation_id",
+  "contact_name",
+  "contact_jid",
+  "message_id",
+  "created_at",
+  "direction",
+  "sender_jid",
+  "sender_name",
+  "message_type",
+  "content",
+  "media_file_name",
+  "status",
+  "edited",
+  "revoked",
+  "reply_to_message_id",
+];
+
+/** Inboxes com job de exportação rodando neste processo. */
+const runningInboxes = new Set();
+
+/**
+ * Valida a query das rotas de exportação.
+ * `to` é exclusivo; data sem hora (YYYY-MM-DD) inclui o dia inteiro.
+ * @returns {{ options?: { format, from, to, timezone }, error?: string }}
+ */
+export function parseExportOptions(query) {
+  const format = String(query.format || "json").toLowerCase();
+  if (!EXPORT_FORMATS[format]) return { error: "format must be json, csv or txt" };
+
+  const from = query.from ? new Date(query.from) : null;
+  let to = query.to ? new Date(query.to) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  if (from && to && from >= to) return { error: "from must be before to" };
+
+  const timezone = query.timezone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("pt-BR", { timeZone: timezone });
+  } catch {
+    return { error: "Invalid timezone" };
+  }
+  return {
+    options: { format, from: from?.toISOString() ?? null, to: to?.toISOString() ?? null, timezone },
+  };
+}
+
+/** Nome do arquivo de download. */
+export function exportFileName(prefix, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${prefix}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/** Exclui agendadas e canceladas; status nulo (mensagem gravada pelo worker externo) é exportado. */
+const EXPORTABLE_STATUS_FILTER = "status.is.null,status.not.in.(cancelled,scheduled)";
+
+/** Filtra created_at pelo intervalo; column = "messages.created_at" para o embed de mensagens. */
+function applyRange(query, { from, to }, column = "created_at") {
+  if (from) query = query.gte(column, from);
+  if (to) query = query.lt(column, to);
+  return query;
+}
+
+/** Total de mensagens exportáveis da inbox no intervalo. */
+export async function countInboxExportMessages(supabase, inboxId, options) {
+  const { count, error } = await applyRange(
+    supabase
+      .from("chat_messages")
+      .select("id, conversation:chat_conversations!inner(inbox_id)", { count: "exact", head: true })
+      .eq("conversation.inbox_id", inboxId)
+      .or(EXPORTABLE_STATUS_FILTER),
+    options
+  );
+  if (error) throw error;
+  return count ?? 0;
+}
+
+const CONVERSATION_FIELDS = "id, created_at, contact:chat_contacts(id, name, remote_jid, contact_type)";
+
+/**
+ * Conversas a exportar: uma só (conversationId) ou, em páginas, as da inbox com alguma mensagem exportável
+ * no intervalo (embed !inner limitado a 1 linha: conversa sem mensagem no intervalo nem é lida).
+ */
+async function* iterateConversations(supabase, inboxId, conversationId, options) {
+  if (conversationId) {
+    const { data, error } = await supabase
+      .from("chat_conversations")
+      .select(CONVERSATION_FIELDS)
+      .eq("id", conversationId)
+      .single();
+    if (error) throw error;
+    yield data;
+    return;
+  }
+  let lastId = null;
+  for (;;) {
+    let query = applyRange(
+      supabase
+        .from("chat_conversations")
+        .select(`${CONVERSATION_FIELDS}, messages:chat_messages!inner(id)`)
+        .eq("inbox_id", inboxId)
+        .or(EXPORTABLE_STATUS_FILTER, { referencedTable: "messages" }),
+      options,
+      "messages.created_at"
+    )
+      .order("id", { ascending: true })
+      .limit(1, { referencedTable: "messages" })
+      .limit(PAGE_SIZE);
+    if (lastId) query = query.gt("id", lastId);
+    const { data, error } = await query;
+    if (error) throw error;
+    for (const conversation of data || []) {
+      delete conversation.messages;
+      yield conversation;
+    }
+    if (!data || data.length < PAGE_SIZE) return;
+    lastId = data[data.length - 1].id;
+  }
+}
+
+/** Mensagens da conversa em ordem cronológica, em páginas (cursor created_at + id). */
+async function* iterateMessagePages(supabase, conversationId, options) {
+  let cursor = null;
+  for (;;) {
+    let query = applyRange(
+      supabase
+        .from("chat_messages")
+        .select(MESSAGE_FIELDS)
+        .eq("conversation_id", conversationId)
+        .or(EXPORTABLE_STATUS_FILTER),
+      options
+    )
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(PAGE_SIZE);
+    if (cursor) {
+      query = query.or(
+        `created_at.gt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.gt.${cursor.id})`
+      );
+    }
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data?.length) yield data;
+    if (!data || data.length < PAGE_SIZE) return;
+    cursor = data[data.length - 1];
+  }
+}
+
+const jidNumber = (jid) => (jid ? jid.replace(/@.*$/, "") : null);
+
+/** Remetente de cada mensagem: a inbox (enviadas), o contato ou, em grupos, o participante. */
+async function resolveSenders(supabase, inbox, conversation, messages) {
+  const contact = conversation.contact;
+  const isGroup = contact?.contact_type === "group";
+  const directory = isGroup
+    ? await participantDirectory(
+        supabase,
+        inbox.id,
+        contact.id,
+        messages.map((m) => m.participant_remote_jid)
+      )
+    : null;
+  return messages.map((m) => {
+    if (m.direction === "outgoing") return { jid: null, name: inbox.name || "Você" };
+    if (isGroup) {
+      const jid = m.participant_remote_jid;
+      return { jid, name: directory.get(jid)?.name ?? jidNumber(jid) };
+    }
+    return { jid: contact?.remote_jid ?? null, name: contact?.name ?? jidNumber(contact?.remote_jid) };
+  });
+}
+
+function contactInfo(conversation) {
+  const contact = conversation.contact;
+  return {
+    id: contact?.id ?? null,
+    name: contact?.name ?? null,
+    remote_jid: contact?.remote_jid ?? null,
+    phone: contact?.contact_type === "group" ? null : jidNumber(contact?.remote_jid),
+    contact_type: contact?.contact_type ?? null,
+  };
+}
+
+/** Célula CSV; texto iniciado por = + - @ (fórmula no Excel) ganha o prefixo '. */
+function csvValue(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Texto de uma mensagem no .txt (mídia, apagada e editada como no export do WhatsApp). */
+function transcriptText(message) {
+  if (message.is_revoked) return "Mensagem apagada";
+  let text = message.content || "";
+  if (message.media_file_name) {
+    const attachment = `<anexo: ${message.media_file_name}>`;
+    text = text ? `${text} ${attachment}` : attachment;
+  }
+  if (message.edited_at) text += " <editada>";
+  return text;
+}
+
+/**
+ * Escritor do formato: conversation() abre o bloco de uma conversa, message() escreve uma mensagem,
+ * end() fecha o documento. write(chunk) respeita backpressure (await).
+ */
+function createFormatWriter(format, write, meta) {
+  if (format === "csv") {
+    return {
+      // BOM: Excel abre o CSV como UTF-8
+      start: () => write(`\uFEFF${CSV_COLUMNS.join(",")}\r\n`),
+      conversation: async () => {},
+      message: (conversation, message, sender) => {
+        const contact = contactInfo(conversation);
+        const row = [
+          conversation.id,
+          contact.name,
+          contact.remote_jid,
+          message.id,
+          message.created_at,
+          message.direction,
+          sender.jid,
+          sender.name,
+          message.message_type,
+          message.content,
+          message.media_file_name,
+          message.status,
+          message.edited_at ? "true" : "false",
+          message.is_revoked ? "true" : "false",
+          message.reply_to_message_id,
+        ];
+        return write(`${row.map(csvValue).join(",")}\r\n`);
+      },
+      end: async () => {},
+    };
+  }
+
+  if (format === "txt") {
+    const dateFormat = new Intl.DateTimeFormat("pt-BR", {
+      timeZone: meta.timezone,
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hour12: false,
+    });
+    let first = true;
+    return {
+      start: async () => {},
+      conversation: (conversation) => {
+        // Exportação da inbox: cabeçalho por conversa; de uma conversa só, igual ao WhatsApp
+        if (!meta.multiple) return undefined;
+        const contact = contactInfo(conversation);
+        const header = `=== ${contact.name ?? contact.remote_jid} (${contact.phone ?? contact.remote_jid}) ===\n`;
+        const chunk = first ? header : `\n${header}`;
+        first = false;
+        return write(chunk);
+      },
+      message: (conversation, message, sender) =>
+        write(`[${dateFormat.format(new Date(message.created_at))}] ${sender.name}: ${transcriptText(message)}\n`),
+      end: async () => {},
+    };
+  }
+
+  let conversationsOpen = 0;
+  let messagesInConversation = 0;
+  return {
+    start: () =>
+      write(
+        `{"exported_at":${JSON.stringify(meta.exportedAt)},"from":${JSON.stringify(meta.from)},"to":${JSON.stringify(meta.to)},` +
+          `"inbox":${JSON.stringify(meta.inbox)},"conversations":[`
+      ),
+    conversation: (conversation) => {
+      const prefix = conversationsOpen > 0 ? "]}," : "";
+      conversationsOpen++;
+      messagesInConversation = 0;
+      return write(
+        `${prefix}{"id":${JSON.stringify(conversation.id)},"contact":${JSON.stringify(contactInfo(conversation))},"messages":[`
+      );
+    },
+    message: (conversation, message, sender) => {
+      const prefix = messagesInConversation > 0 ? "," : "";
+      messagesInConversation++;
+      return write(
+        prefix +
+          JSON.stringify({
+            id: message.id,
+            created_at: message.created_at,
+            direction: message.direction,
+            sender,
+            message_type: message.message_type,
+            content: message.content,
+            status: message.status,
+            media: message.media_file_name || message.media_mimetype
+              ? { file_name: message.media_file_name, mimetype: message.media_mimetype }
+              : null,
+            reply_to_message_id: message.reply_to_message_id,
+            edited_at: message.edited_at,
+            is_revoked: Boolean(message.is_revoked),
+            payload: message.payload ?? null,
+          })
+      );
+    },
+    end: () => write(`${conversationsOpen > 0 ? "]}" : ""}]}`),
+  };
+}
+
+/**
+ * Escreve a exportação completa usando write(chunk). Conversas sem mensagens no intervalo ficam de fora.
+ * @param {object} supabase - Cliente usado nas leituras (RLS nas rotas, supabaseAdmin nos jobs)
+ * @param {object} params - { inbox: { id, name }, conversationId?, options, onProgress?(messages) }
+ * @returns {Promise<number>} Mensagens exportadas
+ */
+export async function writeExport(supabase, { inbox, conversationId, options, onProgress }, write) {
+  const writer = createFormatWriter(options.format, write, {
+    exportedAt: new Date().toISOString(),
+    from: options.from,
+    to: options.to,
+    timezone: options.timezone,
+    inbox: { id: inbox.id, name: inbox.name ?? null },
+    multiple: !conversationId,
+  });
+  let exported = 0;
+  await writer.start();
+  for await (const conversation of iterateConversations(supabase, inbox.id, conversationId, options)) {
+    let opened = false;
+    for await (const page of iterateMessagePages(supabase, conversation.id, options)) {
+      if (!opened) {
+        await writer.conversation(conversation);
+        opened = true;
+      }
+      const senders = await resolveSenders(supabase, inbox, conversation, page);
+      for (let i = 0; i < page.length; i++) {
+        await writer.message(conversation, page[i], senders[i]);
+      }
+      exported += page.length;
+      if (onProgress) await onProgress(exported);
+    }
+  }
+  await writer.end();
+  return exported;
+}
+
+/** Executa o job: gera o arquivo em disco temporário e envia ao storage de mídia. */
+async function runExportJob(job, inbox) {
+  runningInboxes.add(inbox.id);
+  let tmpDir = null;
+  let lastFlush = 0;
+  try {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "flunx-export-"));
+    const filePath = path.join(tmpDir, `export.${EXPORT_FORMATS[job.format].extension}`);
+    await supabaseAdmin
+      .from("chat_export_jobs")
+      .update({ status: "running", started_at: new Date().toISOString() })
+      .eq("id", job.id);
+
+    const file = createWriteStream(filePath);
+    const write = async (chunk) => {
+      if (!file.write(chunk)) await once(file, "drain");
+    };
+    const exported = await writeExport(
+      supabaseAdmin,
+      {
+        inbox,
+        options: { ...job.options, format: job.format },
+        onProgress: async (messages) => {
+          if (Date.now() - lastFlush < PROGRESS_FLUSH_MS) return;
+          lastFlush = Date.now();
+          await supabaseAdmin.from("chat_export_jobs").update({ messages_exported: messages }).eq("id", job.id);
+        },
+      },
+      write
+    );
+    file.end();
+    await once(file, "finish");
+
+    const { size } = await stat(filePath);
+    const storagePath = `exports/${inbox.organization_id}/${inbox.id}/${job.id}.${EXPORT_FORMATS[job.format].extension}`;
+    const saved = await saveMediaFile(storagePath, filePath, EXPORT_FORMATS[job.format].contentType);
+    if (!saved.success) throw new Error(saved.error);
+
+    await supabaseAdmin
+      .from("chat_export_jobs")
+      .update({
+        status: "completed",
+        messages_exported: exported,
+        storage_path: saved.path,
+        file_size: size,
+        finished_at: new Date().toISOString(),
+      })
+      .eq("id", job.id);
+    console.log("[exports] OK:", { inboxId: inbox.id, jobId: job.id, messages: exported, bytes: size });
+  } catch (err) {
+    console.error("[exports] Error:", err);
+    await supabaseAdmin
+      .from("chat_export_jobs")
+      .update({ status: "failed", error: err.message, finished_at: new Date().toISOString() })
+      .eq("id", job.id);
+  } finally {
+    runningInboxes.delete(inbox.id);
+    if (tmpDir) await rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/** Job de exportação queued/running da inbox, se houver. */
+async function getActiveExportJob(inboxId) {
+  const { data } = await supabaseAdmin
+    .from("chat_export_jobs")
+    .select("id, status")
+    .eq("inbox_id", inboxId)
+    .in("status", ACTIVE_STATUSES)
+    .limit(1)
+    .maybeSingle();
+  return data ?? null;
+}
+
+/**
+ * Cria o job de exportação da inbox e inicia em background (sem aguardar).
+ * @param {object} inbox - { id, organization_id, name }
+ * @returns {Promise<{ job?: object, activeJob?: object }>} activeJob quando já há exportação em andamento
+ */
+export async function startExportJob(inbox, options, userId) {
+  const activeJob = await getActiveExportJob(inbox.id);
+  if (activeJob || runningInboxes.has(inbox.id)) {
+    return { activeJob: activeJob ?? { id: null, status: "running" } };
+  }
+
+  const { format, ...rangeOptions } = options;
+  const { data: job, error } = await supabaseAdmin
+    .from("chat_export_jobs")
+    .insert({
+      inbox_id: inbox.id,
+      organization_id: inbox.organization_id,
+      status: "queued",
+      format,
+      options: rangeOptions,
+      messages_exported: 0,
+      created_by: userId,
+    })
+    .select()
+    .single();
+  // 23505: índice único parcial (uma exportação ativa por inbox) — outra requisição criou o job antes
+  if (error?.code === "23505") {
+    return { activeJob: (await getActiveExportJob(inbox.id)) ?? { id: null, status: "running" } };
+  }
+  if (error) throw error;
+
+  runExportJob(job, inbox).catch((err) => console.error("[exports] Job error:", err));
+  return { job };
+}
+
+/**
+ * URL temporária do arquivo de um job concluído.
+ * @returns {Promise<string|null>}
+ */
+export async function getExportDownloadUrl(job) {
+  if (job.status !== "completed" || !job.storage_path) return null;
+  const signed = await getSignedMediaUrl(
+    job.storage_path,
+    DOWNLOAD_URL_EXPIRES_SECONDS,
+    exportFileName("export", job.format)
+  );
+  return signed.success ? signed.url : null;
+}
+
+/** Na subida do serviço, exportações que ficaram ativas (restart no meio) são marcadas como failed. */
+export async function recoverInterruptedExportJobs() {
+  if (!supabaseAdmin) return;
+  const { error } = await supabaseAdmin
+    .from("chat_export_jobs")
+    .update({
+      status: "failed",
+      error: "Interrompido por reinício do serviço",
+      finished_at: new Date().toISOString(),
+    })
+    .in("status", ACTIVE_STATUSES);
+  if (error) console.error("[exports] Erro ao recuperar jobs:", error.message);
+}
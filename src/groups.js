@@ -0,0 +1,166 @@
+/**
+ * Grupos: metadados em chat_contacts (contact_type "group") e participantes em chat_group_participants.
+ * Atualizados no sync (fetchAllGroups com participantes) e sob demanda (findGroupInfos).
+ * Participantes que saem do grupo ficam com is_active = false (não são apagados).
+ */
+
+import { findGroupInfo } from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+
+const CHUNK_SIZE = 500;
+/** Idade máxima dos metadados antes de GET /conversations/:id/participants consultar a Evolution. */
+export const GROUP_METADATA_MAX_AGE_MS = 60 * 60 * 1000;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/** Papel do participante a partir do campo admin da Evolution. */
+function participantRole(participant) {
+  if (participant?.admin === "superadmin") return "superadmin";
+  if (participant?.admin === "admin") return "admin";
+  return "member";
+}
+
+/** Colunas de metadados do grupo em chat_contacts. */
+export function groupMetadataFields(group) {
+  return {
+    group_description: group?.desc ?? group?.description ?? null,
+    group_owner_jid: group?.owner ?? group?.subjectOwner ?? null,
+    group_size: group?.size ?? (Array.isArray(group?.participants) ? group.participants.length : null),
+    group_metadata_updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Grava a lista de participantes do grupo (upsert em group_contact_id + participant_jid) e marca como
+ * inativos os que não estão mais na lista.
+ * @param {object} inbox - { id }
+ * @param {string} groupContactId - id do grupo em chat_contacts
+ * @param {Array<{ id: string, admin?: string, name?: string, notify?: string, imgUrl?: string }>} participants
+ * @param {Map<string, string>} [knownNames] - JID → nome (ex.: pushName dos contatos da instância)
+ * @returns {Promise<{ active: number, left: number }>}
+ */
+export async function saveGroupParticipants(inbox, groupContactId, participants, knownNames = new Map()) {
+  const now = new Date().toISOString();
+  const byJid = new Map();
+  for (const p of participants || []) {
+    const jid = typeof p?.id === "string" ? p.id : p?.jid;
+    if (!jid) continue;
+    const name = p.name ?? p.notify ?? p.pushName ?? knownNames.get(jid) ?? null;
+    byJid.set(jid, {
+      inbox_id: inbox.id,
+      group_contact_id: groupContactId,
+      participant_jid: jid,
+      role: participantRole(p),
+      is_active: true,
+      left_at: null,
+      updated_at: now,
+      // Nome/avatar só quando vierem: coluna ausente num upsert em lote viraria null
+      ...(name && { name }),
+      ...((p.imgUrl ?? p.profilePicUrl) && { avatar_url: p.imgUrl ?? p.profilePicUrl }),
+    });
+  }
+
+  const rows = [...byJid.values()];
+  const groupsByShape = new Map();
+  for (const row of rows) {
+    const shape = `${"name" in row}:${"avatar_url" in row}`;
+    if (!groupsByShape.has(shape)) groupsByShape.set(shape, []);
+    groupsByShape.get(shape).push(row);
+  }
+  for (const group of groupsByShape.values()) {
+    for (const batch of chunk(group, CHUNK_SIZE)) {
+      const { error } = await supabaseAdmin
+        .from("chat_group_participants")
+        .upsert(batch, { onConflict: "group_contact_id,participant_jid" });
+      if (error) throw error;
+    }
+  }
+
+  const { data: active, error: activeError } = await supabaseAdmin
+    .from("chat_group_participants")
+    .select("participant_jid")
+    .eq("group_contact_id", groupContactId)
+    .eq("is_active", true);
+  if (activeError) throw activeError;
+  const left = (active || []).map((r) => r.participant_jid).filter((jid) => !byJid.has(jid));
+  for (const batch of chunk(left, CHUNK_SIZE)) {
+    const { error } = await supabaseAdmin
+      .from("chat_group_participants")
+      .update({ is_active: false, left_at: now, updated_at: now })
+      .eq("group_contact_id", groupContactId)
+      .in("participant_jid", batch);
+    if (error) throw error;
+  }
+  return { active: rows.length, left: left.length };
+}
+
+/**
+ * Atualiza metadados e participantes de um grupo direto da Evolution.
+ * @param {object} inbox - { id, evolution_instance_name }
+ * @param {object} groupContact - { id, remote_jid } em chat_contacts
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function refreshGroup(inbox, groupContact) {
+  const result = await findGroupInfo(inbox.evolution_instance_name, groupContact.remote_jid);
+  if (!result.success) return { success: false, error: result.error };
+  const group = result.group || {};
+
+  const { error } = await supabaseAdmin
+    .from("chat_contacts")
+    .update({
+      ...(group.subject && { name: group.subject }),
+      ...groupMetadataFields(group),
+    })
+    .eq("id", groupContact.id);
+  if (error) return { success: false, error: error.message };
+
+  if (Array.isArray(group.participants)) {
+    try {
+      await saveGroupParticipants(inbox, groupContact.id, group.participants);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Nome e avatar por JID de participante: chat_group_participants do grupo e, na falta, o contato
+ * individual da inbox com o mesmo JID.
+ * @param {object} supabase - Cliente (RLS) usado nas leituras
+ * @returns {Promise<Map<string, { name: string|null, avatar_url: string|null, avatar_storage_path: string|null }>>}
+ */
+export async function participantDirectory(supabase, inboxId, groupContactId, jids) {
+  const directory = new Map();
+  const unique = [...new Set(jids.filter(Boolean))];
+  for (const batch of chunk(unique, CHUNK_SIZE)) {
+    const [{ data: participants }, { data: contacts }] = await Promise.all([
+      supabase
+        .from("chat_group_participants")
+        .select("participant_jid, name, avatar_url")
+        .eq("group_contact_id", groupContactId)
+        .in("participant_jid", batch),
+      supabase
+        .from("chat_contacts")
+        .select("remote_jid, name, avatar_url, avatar_storage_path")
+        .eq("inbox_id", inboxId)
+        .in("remote_jid", batch),
+    ]);
+    const contactByJid = new Map((contacts || []).map((c) => [c.remote_jid, c]));
+    const participantByJid = new Map((participants || []).map((p) => [p.participant_jid, p]));
+    for (const jid of batch) {
+      const participant = participantByJid.get(jid);
+      const contact = contactByJid.get(jid);
+      directory.set(jid, {
+        name: participant?.name ?? contact?.name ?? null,
+        avatar_url: contact?.avatar_url ?? participant?.avatar_url ?? null,
+        avatar_storage_path: contact?.avatar_storage_path ?? null,
+      });
+    }
+  }
+  return directory;
+}
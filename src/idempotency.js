@@ -0,0 +1,132 @@
+/**
+ * Idempotency-Key (tabela idempotency_keys).
+ * Repetições da mesma requisição (mesmo usuário, rota e chave) recebem a resposta original gravada,
+ * sem executar o handler de novo. Usado em POST /channels e POST /conversations/:conversationId/messages.
+ */
+
+import { createHash } from "crypto";
+import { supabaseAdmin } from "./supabase.js";
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+/**
+ * Reserva sem resposta gravada expira após este prazo sem renovação (processo caiu no meio da requisição).
+ * Enquanto o handler roda, a reserva é renovada a cada RESERVATION_RENEW_MS: handler lento (ex.: POST /channels
+ * esperando a Evolution) nunca perde a chave para uma nova tentativa.
+ */
+const RESERVATION_LEASE_MS = 2 * 60 * 1000;
+const RESERVATION_RENEW_MS = 30 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/** Hash do corpo e, em multipart, do arquivo (nome, mimetype e bytes): outro arquivo = outra requisição. */
+function hashRequest(req) {
+  const hash = createHash("sha256").update(JSON.stringify(req.body ?? {}));
+  if (req.file) {
+    hash.update(JSON.stringify([req.file.originalname, req.file.mimetype]));
+    hash.update(req.file.buffer);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Middleware: exige authMiddleware antes (usa req.user). Sem header Idempotency-Key, segue normal.
+ * A resposta é gravada quando termina de ser enviada (res "finish"), qualquer que seja o método usado;
+ * respostas 5xx e conexões encerradas sem resposta não são gravadas (a chave é liberada para nova tentativa).
+ */
+export async function idempotencyMiddleware(req, res, next) {
+  const key = req.get("Idempotency-Key")?.trim();
+  if (!key || !supabaseAdmin) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: "Idempotency-Key must have at most 255 characters" });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    const { data: existing } = await supabaseAdmin
+      .from("idempotency_keys")
+      .select("id, request_hash, status_code, response, created_at")
+      .eq("user_id", req.user.id)
+      .eq("scope", scope)
+      .eq("key", key)
+      .maybeSingle();
+
+    const age = existing ? Date.now() - new Date(existing.created_at).getTime() : 0;
+    if (existing && age > KEY_TTL_MS) {
+      await supabaseAdmin.from("idempotency_keys").delete().eq("id", existing.id);
+    } else if (existing && existing.status_code == null && age > RESERVATION_LEASE_MS) {
+      // Reserva abandonada: libera a chave (só se continuar sem resposta)
+      await supabaseAdmin.from("idempotency_keys").delete().eq("id", existing.id).is("status_code", null);
+    } else if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({ error: "Idempotency-Key já usada com outro corpo de requisição" });
+      }
+      if (existing.status_code == null) {
+        return res.status(409).json({ error: "Requisição com esta Idempotency-Key ainda em processamento" });
+      }
+      res.set("Idempotent-Replayed", "true");
+      // Resposta original sem corpo JSON (res.end) é repetida sem corpo
+      if (existing.response == null) return res.status(existing.status_code).end();
+      return res.status(existing.status_code).json(existing.response);
+    }
+
+    // Reserva a chave; conflito no índice único = outra requisição com a mesma chave em andamento
+    const { data: reserved, error: insertError } = await supabaseAdmin
+      .from("idempotency_keys")
+      .insert({ user_id: req.user.id, scope, key, request_hash: requestHash })
+      .select("id")
+      .single();
+    if (insertError?.code === "23505") {
+      return res.status(409).json({ error: "Requisição com esta Idempotency-Key ainda em processamento" });
+    }
+    if (insertError || !reserved) {
+      console.error("[idempotency] Erro ao reservar chave:", insertError?.message);
+      return res.status(503).json({ error: "Idempotency-Key indisponível no momento; tente novamente" });
+    }
+
+    // res.json só guarda o corpo; a gravação fica no "finish"
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    const renew = setInterval(() => {
+      supabaseAdmin
+        .from("idempotency_keys")
+        .update({ created_at: new Date().toISOString() })
+        .eq("id", reserved.id)
+        .is("status_code", null)
+        .then(({ error }) => {
+          if (error) console.error("[idempotency] Erro ao renovar reserva:", error.message);
+        });
+    }, RESERVATION_RENEW_MS);
+    renew.unref();
+
+    const release = () => supabaseAdmin.from("idempotency_keys").delete().eq("id", reserved.id);
+    const logError = ({ error }) => {
+      if (error) console.error("[idempotency] Erro ao gravar resposta:", error.message);
+    };
+    res.on("finish", () => {
+      clearInterval(renew);
+      const persist =
+        res.statusCode >= 500
+          ? release()
+          : supabaseAdmin
+              .from("idempotency_keys")
+              .update({ status_code: res.statusCode, response: responseBody })
+              .eq("id", reserved.id);
+      persist.then(logError);
+    });
+    res.on("close", () => {
+      clearInterval(renew);
+      // Conexão encerrada sem resposta completa (res.destroy, cliente saiu): libera a chave
+      if (!res.writableFinished) release().then(logError);
+    });
+    return next();
+  } catch (err) {
+    console.error("[idempotency] Erro:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
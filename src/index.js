@@ -6,25 +6,87 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
+import multer from "multer";
+import path from "path";
+import { once } from "events";
+import { randomUUID } from "crypto";
 import {
   createInstance,
   connectInstance,
   getConnectionState,
-  evolutionBaseUrl,
   setInstanceSettings,
+  findInstanceSettings,
   deleteInstance,
   fetchInstanceInfo,
   formatBrazilianPhone,
   logoutInstance,
-  sendText,
-  findContacts,
-  fetchAllGroups,
-  findChats,
-  findMessages,
+  sendReaction,
+  checkWhatsappNumbers,
+  updateMessage,
+  deleteMessageForEveryone,
 } from "./evolution.js";
 import { getSupabaseClient, supabaseAdmin } from "./supabase.js";
-import { authMiddleware, validateOrganizationAccess } from "./auth.js";
-import { randomId, isValidUUID, slugify, extractMessageContent } from "./utils.js";
+import { authMiddleware, authMiddlewareAllowQueryToken, validateOrganizationAccess } from "./auth.js";
+import { idempotencyMiddleware } from "./idempotency.js";
+import { startScheduler } from "./scheduler.js";
+import { queueOutgoingMessage, retryMessage, startOutboundWorker } from "./outbound.js";
+import { getOrCreateConversation } from "./conversations.js";
+import { OWN_REACTOR_JID, saveReaction } from "./reactions.js";
+import { getSignedMediaUrl, readLocalMedia, saveMedia, mediaExtension, LOCAL_MEDIA_ROUTE } from "./mediaStorage.js";
+import { startSyncJob, requestSyncCancel, recoverInterruptedSyncJobs, getActiveSyncJob } from "./sync.js";
+import { reconcileInbox } from "./reconcile.js";
+import { subscribeConnectionEvents } from "./connectionStream.js";
+import { startConnectionMonitor, recordStatusChange } from "./connectionMonitor.js";
+import { pickEvolutionServer, resolveInstanceServer, UNKNOWN_SERVER_ERROR_CODE } from "./evolutionServers.js";
+import {
+  fromEvolutionSettings,
+  toEvolutionSettings,
+  storedInstanceSettings,
+  validateInstanceSettings,
+  applyStoredInstanceSettings,
+} from "./instanceSettings.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_JOB_FIELDS,
+  EXPORT_STREAM_MAX_MESSAGES,
+  parseExportOptions,
+  exportFileName,
+  countInboxExportMessages,
+  writeExport,
+  startExportJob,
+  getExportDownloadUrl,
+  recoverInterruptedExportJobs,
+} from "./exports.js";
+import { refreshGroup, participantDirectory, GROUP_METADATA_MAX_AGE_MS } from "./groups.js";
+import {
+  refreshContactAvatar,
+  signAvatarUrls,
+  startInboxAvatarRefresh,
+  startAvatarRefresher,
+  ON_DEMAND_COOLDOWN_MS,
+} from "./avatars.js";
+import {
+  parseAudience,
+  resolveAudience,
+  startCampaign,
+  campaignStats,
+  recipientDeliveryStatus,
+  startCampaignWorker,
+  MIN_SEND_INTERVAL_SECONDS,
+  DEFAULT_SEND_INTERVAL_SECONDS,
+} from "./campaigns.js";
+import {
+  randomId,
+  isValidUUID,
+  slugify,
+  jidToNumber,
+  mediaTypeFromMimetype,
+  mediaPlaceholder,
+  messageKey,
+  renderTemplate,
+  templateVars,
+  normalizePhoneNumber,
+} from "./utils.js";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -38,11 +100,161 @@ app.use(
       "https://app.flunx.com.br",
     ],
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Webhook-Token"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Webhook-Token", "Idempotency-Key"],
   })
 );
-app.use(express.json());
+app.use(express.json({ limit: "25mb" }));
+
+const MEDIA_TYPES = ["image", "video", "audio", "document"];
+const MAX_MEDIA_BYTES = 16 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MEDIA_BYTES, files: 1 },
+});
+
+/** Middleware: aceita multipart com um arquivo no campo "file" (opcional); JSON segue normal. */
+function uploadMedia(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: "Arquivo excede o limite de 16 MB" });
+    }
+    return res.status(400).json({ error: "Invalid multipart upload", detail: err.message });
+  });
+}
+
+/**
+ * Normaliza a mídia do request: arquivo (multipart), media_url ou media_base64.
+ * @returns {{ media?: object, error?: string }} media = { mediaType, source, mimetype, fileName, url, size }
+ */
+function parseOutgoingMedia(req) {
+  const { media_url, media_base64, media_type, mimetype, file_name } = req.body || {};
+  if (media_type && !MEDIA_TYPES.includes(media_type)) {
+    return { error: `media_type must be one of: ${MEDIA_TYPES.join(", ")}` };
+  }
+
+  let media = null;
+  if (req.file) {
+    media = {
+      source: req.file.buffer.toString("base64"),
+      mimetype: req.file.mimetype,
+      fileName: file_name || req.file.originalname,
+      url: null,
+      size: req.file.size,
+    };
+  } else if (typeof media_url === "string" && media_url.trim()) {
+    if (!/^https?:\/\//i.test(media_url.trim())) {
+      return { error: "media_url must be an http(s) URL" };
+    }
+    media = {
+      source: media_url.trim(),
+      mimetype: mimetype || null,
+      fileName: file_name || null,
+      url: media_url.trim(),
+      size: null,
+    };
+  } else if (typeof media_base64 === "string" && media_base64.trim()) {
+    // Aceita "data:<mimetype>;base64,<dados>" ou base64 puro
+    const match = media_base64.trim().match(/^data:([^;]+);base64,(.*)$/s);
+    const data = match ? match[2] : media_base64.trim();
+    const size = Buffer.byteLength(data, "base64");
+    if (size > MAX_MEDIA_BYTES) {
+      return { error: "Arquivo excede o limite de 16 MB" };
+    }
+    media = {
+      source: data,
+      mimetype: mimetype || match?.[1] || null,
+      fileName: file_name || null,
+      url: null,
+      size,
+    };
+  }
+  if (!media) return { media: null };
+
+  media.mediaType = media_type || mediaTypeFromMimetype(media.mimetype);
+  if (media.mediaType === "document" && !media.fileName) media.fileName = "arquivo";
+  return { media };
+}
+
+/**
+ * Valida scheduled_at (ISO 8601, no futuro).
+ * @returns {{ scheduledAt?: string, error?: string }}
+ */
+function parseScheduledAt(value) {
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    return { error: "scheduled_at must be an ISO 8601 date" };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { error: "scheduled_at must be in the future" };
+  }
+  return { scheduledAt: date.toISOString() };
+}
+
+/**
+ * Valida "variables" (objeto; em multipart pode vir como string JSON).
+ * @returns {{ variables?: object, error?: string }}
+ */
+function parseTemplateVariables(value) {
+  if (value == null || value === "") return { variables: {} };
+  let variables = value;
+  if (typeof value === "string") {
+    try {
+      variables = JSON.parse(value);
+    } catch {
+      return { error: "variables must be a JSON object" };
+    }
+  }
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    return { error: "variables must be a JSON object" };
+  }
+  return { variables };
+}
+
+// Janelas do WhatsApp para editar (15 min) e apagar para todos (~2 dias) mensagens enviadas
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const REVOKE_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Carrega a conversa (com inbox e contato) e uma mensagem dela.
+ * @returns {Promise<{ conversation?: object, message?: object, status?: number, error?: string }>}
+ */
+async function loadConversationMessage(supabase, conversationId, messageId) {
+  const { data: conversation, error: convError } = await supabase
+    .from("chat_conversations")
+    .select(
+      `
+      id,
+      organization_id,
+      inbox:chat_inboxes(id, evolution_instance_name),
+      contact:chat_contacts(id, remote_jid)
+    `
+    )
+    .eq("id", conversationId)
+    .single();
+  if (convError || !conversation) {
+    return { status: 404, error: "Conversa não encontrada" };
+  }
+
+  const { data: message } = await supabaseAdmin
+    .from("chat_messages")
+    .select("*")
+    .eq("id", messageId)
+    .eq("conversation_id", conversationId)
+    .maybeSingle();
+  if (!message) {
+    return { status: 404, error: "Mensagem não encontrada" };
+  }
+  if (!conversation.inbox?.evolution_instance_name || !conversation.contact?.remote_jid) {
+    return { status: 400, error: "Conversation or inbox not ready for sending" };
+  }
+  if (!message.evolution_message_id) {
+    return { status: 400, error: "Mensagem ainda não foi entregue ao WhatsApp" };
+  }
+  return { conversation, message };
+}
 
 // --- Health ---
 app.get("/health", (_, res) => {
@@ -57,9 +269,46 @@ function supabaseFromReq(req) {
   return getSupabaseClient(token) || supabaseAdmin;
 }
 
+/** URL relativa (storage local) → absoluta com o host do request. */
+function absoluteUrl(req, url) {
+  return url?.startsWith("/") ? `${req.protocol}://${req.get("host")}${url}` : url;
+}
+
+/** Aplica signAvatarUrls (avatar em cache no storage) e torna absolutas as URLs do storage local. */
+async function withCachedAvatars(req, contacts) {
+  await signAvatarUrls(contacts);
+  for (const contact of contacts) {
+    if (contact) contact.avatar_url = absoluteUrl(req, contact.avatar_url);
+  }
+  return contacts;
+}
+
+/**
+ * Modo de login do canal: phone_number informado → código de pareamento; senão QR code.
+ * @returns {{ mode?: "qrcode"|"pairing_code", number?: string|null, error?: string }}
+ */
+function parseLoginMode(phoneNumber) {
+  if (phoneNumber == null || phoneNumber === "") return { mode: "qrcode", number: null };
+  const number = normalizePhoneNumber(phoneNumber);
+  if (!number) return { error: "phone_number must be a valid phone number" };
+  return { mode: "pairing_code", number };
+}
+
+/** Colunas de chat_inboxes com o modo de login e o código de pareamento vigente. */
+function loginModeFields(mode, number, connectResult) {
+  return {
+    login_mode: mode,
+    pairing_phone_number: mode === "pairing_code" ? number : null,
+    pairing_code: connectResult.pairingCode ?? null,
+    pairing_code_expires_at: connectResult.pairingCodeExpiresAt ?? null,
+  };
+}
+
 // --- POST /channels - Criar canal WhatsApp (Especificação § 8.1) ---
-app.post("/channels", authMiddleware, async (req, res) => {
-  const { organization_id, name } = req.body || {};
+// Header Idempotency-Key (opcional): repetição devolve a resposta original sem criar outra instância.
+// phone_number (opcional): login por código de pareamento em vez de QR code.
+app.post("/channels", authMiddleware, idempotencyMiddleware, async (req, res) => {
+  const { organization_id, name, phone_number } = req.body || {};
   if (!organization_id || !name) {
     return res.status(400).json({
       error: "Body must include organization_id and name",
@@ -68,6 +317,10 @@ app.post("/channels", authMiddleware, async (req, res) => {
   if (!isValidUUID(organization_id)) {
     return res.status(400).json({ error: "organization_id must be a valid UUID" });
   }
+  const login = parseLoginMode(phone_number);
+  if (login.error) {
+    return res.status(400).json({ error: login.error });
+  }
 
   const hasAccess = await validateOrganizationAccess(req.user.id, organization_id);
   if (!hasAccess) {
@@ -77,7 +330,13 @@ app.post("/channels", authMiddleware, async (req, res) => {
   const instanceName = `flunx-${slugify(name).slice(0, 20)}-${randomId()}`;
 
   try {
-    const createResult = await createInstance(instanceName);
+    // Instância nova vai para o servidor Evolution menos ocupado
+    const placement = await pickEvolutionServer();
+    if (placement.error) {
+      return res.status(503).json({ error: placement.error });
+    }
+    const server = placement.server;
+    const createResult = await createInstance(instanceName, server);
     if (!createResult.success) {
       return res.status(502).json({
         error: "Evolution create instance failed",
@@ -97,8 +356,12 @@ app.post("/channels", authMiddleware, async (req, res) => {
         name,
         channel_type: "whatsapp",
         evolution_instance_name: instanceName,
-        evolution_base_url: evolutionBaseUrl,
+        evolution_server_id: server.id,
+        evolution_base_url: server.baseUrl,
         connection_status: "pending",
+        instance_settings: fromEvolutionSettings({}),
+        login_mode: login.mode,
+        pairing_phone_number: login.number,
       })
       .select()
       .single();
@@ -108,12 +371,12 @@ app.post("/channels", authMiddleware, async (req, res) => {
       return res.status(500).json({ error: "Failed to save channel", detail: error.message });
     }
 
-    const connectResult = await connectInstance(inbox.evolution_instance_name);
+    const connectResult = await connectInstance(inbox.evolution_instance_name, { number: login.number });
     const qrCode = connectResult.qrCode ?? null;
-    if (qrCode) {
+    if (qrCode || connectResult.pairingCode) {
       await supabaseAdmin
         .from("chat_inboxes")
-        .update({ qr_code: qrCode })
+        .update({ qr_code: qrCode, ...loginModeFields(login.mode, login.number, connectResult) })
         .eq("id", inbox.id);
     }
 
@@ -126,10 +389,15 @@ app.post("/channels", authMiddleware, async (req, res) => {
         channel_type: inbox.channel_type,
         evolution_instance_name: inbox.evolution_instance_name,
         connection_status: inbox.connection_status,
+        evolution_server_id: inbox.evolution_server_id,
         evolution_base_url: inbox.evolution_base_url,
+        login_mode: inbox.login_mode,
         created_at: inbox.created_at,
       },
       qrcode: connectResult.qrCode ? { base64: connectResult.qrCode } : null,
+      pairing_code: connectResult.pairingCode
+        ? { code: connectResult.pairingCode, expires_at: connectResult.pairingCodeExpiresAt }
+        : null,
     });
   } catch (err) {
     console.error("[POST /channels] Erro:", err);
@@ -209,6 +477,10 @@ app.get("/channels/:id/info", authMiddleware, async (req, res) => {
       .from("chat_inboxes")
       .update(updates)
       .eq("id", id);
+    await recordStatusChange(inbox, inbox.connection_status, connection_status, {
+      source: "info",
+      reason: info.instance?.state ?? null,
+    });
 
     return res.json({ success: true, ...updates });
   } catch (err) {
@@ -217,12 +489,155 @@ app.get("/channels/:id/info", authMiddleware, async (req, res) => {
   }
 });
 
+// --- GET /channels/:id/status-history - Transições de connection_status (mais recentes primeiro) ---
+// Query: limit (default 50, máx. 200), before (ISO; paginação por created_at).
+app.get("/channels/:id/status-history", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  const before = req.query.before;
+  if (before !== undefined && Number.isNaN(Date.parse(before))) {
+    return res.status(400).json({ error: "before must be an ISO date" });
+  }
+  if (!supabaseAdmin) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  const { data: inbox } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("id, organization_id, connection_status, connection_checked_at")
+    .eq("id", id)
+    .maybeSingle();
+  if (!inbox) {
+    return res.status(404).json({ error: "Canal não encontrado" });
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    let query = supabaseAdmin
+      .from("chat_inbox_status_history")
+      .select("id, previous_status, status, source, reason, created_at")
+      .eq("inbox_id", id)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (before) query = query.lt("created_at", new Date(before).toISOString());
+    const { data: history, error } = await query;
+    if (error) throw error;
+    return res.json({
+      connection_status: inbox.connection_status,
+      connection_checked_at: inbox.connection_checked_at ?? null,
+      history: history || [],
+    });
+  } catch (err) {
+    console.error("[GET /channels/:id/status-history] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /channels/:id/settings - Settings da instância (lidos da Evolution; gravados no canal se ela falhar) ---
+app.get("/channels/:id/settings", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  const { data: inbox, error } = await supabase
+    .from("chat_inboxes")
+    .select("id, evolution_instance_name, instance_settings")
+    .eq("id", id)
+    .single();
+  if (error || !inbox) {
+    return res.status(404).json({ error: "Canal não encontrado" });
+  }
+
+  try {
+    const stored = storedInstanceSettings(inbox);
+    if (!inbox.evolution_instance_name) {
+      return res.json({ settings: stored, source: "stored" });
+    }
+    const result = await findInstanceSettings(inbox.evolution_instance_name);
+    if (!result.success) {
+      console.warn("[GET /channels/:id/settings] findInstanceSettings failed:", result.error);
+      return res.json({ settings: stored, source: "stored" });
+    }
+    return res.json({ settings: fromEvolutionSettings(result.settings), source: "evolution" });
+  } catch (err) {
+    console.error("[GET /channels/:id/settings] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- PUT /channels/:id/settings - Alterar settings da instância ---
+// Body: reject_calls, call_rejection_message, ignore_groups, always_online, read_messages, read_status,
+// sync_full_history (só os campos enviados mudam). Aplica na Evolution e grava em chat_inboxes.instance_settings.
+app.put("/channels/:id/settings", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  const { changes, error: validationError } = validateInstanceSettings(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data: inbox } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("id, organization_id, evolution_instance_name, instance_settings")
+    .eq("id", id)
+    .single();
+  if (!inbox) {
+    return res.status(404).json({ error: "Canal não encontrado" });
+  }
+
+  const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+  if (!inbox.evolution_instance_name) {
+    return res.status(400).json({ error: "Channel has no Evolution instance" });
+  }
+
+  try {
+    const settings = { ...storedInstanceSettings(inbox), ...changes };
+    const result = await setInstanceSettings(inbox.evolution_instance_name, toEvolutionSettings(settings));
+    if (!result.success) {
+      return res.status(502).json({ error: "Evolution set settings failed", detail: result.error });
+    }
+
+    const { error } = await supabaseAdmin
+      .from("chat_inboxes")
+      .update({ instance_settings: settings, updated_at: new Date().toISOString() })
+      .eq("id", id);
+    if (error) throw error;
+
+    return res.json({ success: true, settings });
+  } catch (err) {
+    console.error("[PUT /channels/:id/settings] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 // --- GET /channels/:inboxId/qrcode - Obter/atualizar QR code ---
+// Query phone_number: gera código de pareamento para o número (modo gravado no canal; chamadas seguintes
+// sem query renovam o código). mode=qrcode volta para o QR code.
 app.get("/channels/:inboxId/qrcode", authMiddleware, async (req, res) => {
   const { inboxId } = req.params;
   if (!isValidUUID(inboxId)) {
     return res.status(400).json({ error: "Invalid inbox ID format" });
   }
+  const requested = parseLoginMode(req.query.phone_number);
+  if (requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
   const supabase = supabaseFromReq(req);
   if (!supabase) {
     return res.status(503).json({ error: "Database not configured" });
@@ -230,7 +645,7 @@ app.get("/channels/:inboxId/qrcode", authMiddleware, async (req, res) => {
 
   const { data: inbox, error } = await supabase
     .from("chat_inboxes")
-    .select("id, evolution_instance_name, connection_status")
+    .select("id, evolution_instance_name, connection_status, login_mode, pairing_phone_number")
     .eq("id", inboxId)
     .single();
 
@@ -240,23 +655,70 @@ app.get("/channels/:inboxId/qrcode", authMiddleware, async (req, res) => {
 
   const state = await getConnectionState(inbox.evolution_instance_name);
   if (state.state === "connected") {
-    return res.json({ qrCode: null, connection_status: "connected" });
+    return res.json({ qrCode: null, pairingCode: null, connection_status: "connected" });
   }
 
-  const connectResult = await connectInstance(inbox.evolution_instance_name);
+  let login = requested;
+  const keepPairing =
+    !requested.number &&
+    req.query.mode !== "qrcode" &&
+    inbox.login_mode === "pairing_code" &&
+    inbox.pairing_phone_number;
+  if (keepPairing) login = { mode: "pairing_code", number: inbox.pairing_phone_number };
+  const connectResult = await connectInstance(inbox.evolution_instance_name, { number: login.number });
   const qrCode = connectResult.qrCode ?? null;
-  if (qrCode) {
+  if (qrCode || connectResult.pairingCode) {
     await supabase
       .from("chat_inboxes")
-      .update({ qr_code: qrCode, updated_at: new Date().toISOString() })
+      .update({
+        qr_code: qrCode,
+        ...loginModeFields(login.mode, login.number, connectResult),
+        updated_at: new Date().toISOString(),
+      })
       .eq("id", inboxId);
   }
   return res.json({
     qrCode,
+    pairingCode: connectResult.pairingCode ?? null,
+    pairingCodeExpiresAt: connectResult.pairingCodeExpiresAt ?? null,
+    login_mode: login.mode,
     connection_status: connectResult.connectionStatus ?? inbox.connection_status,
   });
 });
 
+// --- GET /channels/:inboxId/events - Stream SSE de QR code e status até o canal conectar ---
+// Eventos: status { connection_status, profile_name?, phone_number?, jid? }, qrcode { qrCode, pairingCode,
+// pairingCodeExpiresAt }, end { reason } (o cliente fecha o EventSource). Canal já conectado: 204, que faz
+// o EventSource parar de reconectar. Token no header ou em ?access_token= (EventSource não envia headers).
+app.get("/channels/:inboxId/events", authMiddlewareAllowQueryToken, async (req, res) => {
+  const { inboxId } = req.params;
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  const supabase = supabaseFromReq(req);
+  if (!supabase || !supabaseAdmin) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  const { data: inbox, error } = await supabase
+    .from("chat_inboxes")
+    .select("id, organization_id, evolution_instance_name, connection_status, login_mode, pairing_phone_number")
+    .eq("id", inboxId)
+    .single();
+
+  if (error || !inbox) {
+    return res.status(404).json({ error: "Inbox not found" });
+  }
+  if (!inbox.evolution_instance_name) {
+    return res.status(400).json({ error: "Channel has no Evolution instance" });
+  }
+  if (inbox.connection_status === "connected") {
+    return res.status(204).end();
+  }
+
+  subscribeConnectionEvents(inbox, res);
+});
+
 // --- POST /channels/:id/reconnect (Especificação § 8.1) ---
 app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
   const { id } = req.params;
@@ -266,7 +728,9 @@ app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
 
   const { data: inbox } = await supabaseAdmin
     .from("chat_inboxes")
-    .select("id, name, organization_id, evolution_instance_name, channel_type")
+    .select(
+      "id, name, organization_id, evolution_instance_name, channel_type, connection_status, instance_settings, login_mode, pairing_phone_number"
+    )
     .eq("id", id)
     .single();
 
@@ -280,6 +744,22 @@ app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
   }
 
   try {
+    // Mantém o servidor Evolution do canal; se ele foi desativado (is_active = false) ou não está mais
+    // cadastrado, vai para o menos ocupado
+    let server = inbox.evolution_instance_name
+      ? await resolveInstanceServer(inbox.evolution_instance_name).catch((err) => {
+          if (err.code === UNKNOWN_SERVER_ERROR_CODE) return null;
+          throw err;
+        })
+      : null;
+    if (!server || !server.isActive) {
+      const placement = await pickEvolutionServer();
+      if (placement.error) {
+        return res.status(503).json({ error: placement.error });
+      }
+      server = placement.server;
+    }
+
     if (inbox.evolution_instance_name) {
       await logoutInstance(inbox.evolution_instance_name);
       await deleteInstance(inbox.evolution_instance_name);
@@ -290,7 +770,7 @@ app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
     let newInstanceName = null;
     for (let attempt = 0; attempt < 3; attempt++) {
       const candidate = `flunx-${nameSlug}-${randomId()}`;
-      const createResult = await createInstance(candidate);
+      const createResult = await createInstance(candidate, server);
       if (createResult.success) {
         newInstanceName = candidate;
         break;
@@ -308,17 +788,26 @@ app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
       });
     }
 
-    const connectResult = await connectInstance(newInstanceName);
+    // Mantém o modo de login do canal (código de pareamento para o mesmo número)
+    const loginMode = inbox.login_mode === "pairing_code" && inbox.pairing_phone_number ? "pairing_code" : "qrcode";
+    const loginNumber = loginMode === "pairing_code" ? inbox.pairing_phone_number : null;
+    const connectResult = await connectInstance(newInstanceName, { number: loginNumber });
     const qrCode = connectResult.qrCode ?? null;
-    await setInstanceSettings(newInstanceName);
+    // Instância nova nasce com os settings padrão: reaplica os configurados no canal
+    const settingsResult = await applyStoredInstanceSettings(newInstanceName, inbox);
+    if (!settingsResult.success) {
+      console.warn("[POST /channels/:id/reconnect] setInstanceSettings failed:", settingsResult.error);
+    }
 
     await supabaseAdmin
       .from("chat_inboxes")
       .update({
         evolution_instance_name: newInstanceName,
-        evolution_base_url: evolutionBaseUrl,
+        evolution_server_id: server.id,
+        evolution_base_url: server.baseUrl,
         connection_status: connectResult.connectionStatus ?? "pending",
         qr_code: qrCode,
+        ...loginModeFields(loginMode, loginNumber, connectResult),
         whatsapp_profile_name: null,
         whatsapp_profile_pic_url: null,
         whatsapp_phone_number: null,
@@ -329,6 +818,9 @@ app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
         updated_at: new Date().toISOString(),
       })
       .eq("id", id);
+    await recordStatusChange(inbox, inbox.connection_status, connectResult.connectionStatus ?? "pending", {
+      source: "reconnect",
+    });
 
     return res.json({
       success: true,
@@ -337,8 +829,12 @@ app.post("/channels/:id/reconnect", authMiddleware, async (req, res) => {
         name: baseName,
         evolution_instance_name: newInstanceName,
         connection_status: connectResult.connectionStatus ?? "pending",
+        login_mode: loginMode,
       },
       qrcode: qrCode ? { base64: qrCode } : null,
+      pairing_code: connectResult.pairingCode
+        ? { code: connectResult.pairingCode, expires_at: connectResult.pairingCodeExpiresAt }
+        : null,
     });
   } catch (err) {
     console.error("[POST /channels/:id/reconnect] Error:", err);
@@ -383,12 +879,15 @@ app.delete("/channels/:id", authMiddleware, async (req, res) => {
 
 // --- POST /inboxes/:inboxId/sync (Especificação § 8.2) ---
 // Query: import_messages_days (opcional) — se > 0, busca histórico de mensagens dos últimos N dias por conversa (Evolution findMessages).
+// O sync roda em background (sync.js): responde 202 com job_id; progresso em GET /inboxes/:inboxId/sync/jobs/:jobId.
+// dry_run=true: só compara Evolution com o banco, sem gravar; o relatório por chat fica em result do job.
 app.post("/inboxes/:inboxId/sync", authMiddleware, async (req, res) => {
   const { inboxId } = req.params;
   const importMessagesDays = Math.min(
     Math.max(parseInt(req.query.import_messages_days, 10) || 0, 0),
     30
   );
+  const dryRun = req.query.dry_run === "true";
   if (!isValidUUID(inboxId)) {
     return res.status(400).json({ error: "Invalid inbox ID format" });
   }
@@ -416,363 +915,245 @@ app.post("/inboxes/:inboxId/sync", authMiddleware, async (req, res) => {
   }
 
   try {
-    const findResult = await findContacts(inbox.evolution_instance_name);
-    const groupsResult = await fetchAllGroups(inbox.evolution_instance_name);
-    const chatsResult = await findChats(inbox.evolution_instance_name);
-    const contacts = findResult.success ? findResult.contacts || [] : [];
-    const groups = groupsResult.success ? groupsResult.groups || [] : [];
-    const chats = chatsResult.success ? chatsResult.chats || [] : [];
-
-    let contactsCreated = 0;
-    let conversationsCreated = 0;
-    let chatsProcessed = 0;
-    let messagesInserted = 0;
-
-    // Só contato (sem conversa). Conversa é criada apenas ao inserir mensagem.
-    const upsertContactOnly = async (
-      remoteJid,
-      name,
-      contactType,
-      avatarUrl
-    ) => {
-      if (!remoteJid || typeof remoteJid !== "string") return null;
-      const sourceId = remoteJid;
-      const { data: existingContact } = await supabaseAdmin
-        .from("chat_contacts")
-        .select("id")
-        .eq("inbox_id", inbox.id)
-        .eq("remote_jid", remoteJid)
-        .maybeSingle();
-
-      const updateData = {
-        name,
-        contact_type: contactType,
-        updated_at: new Date().toISOString(),
-      };
-      if (avatarUrl != null) updateData.avatar_url = avatarUrl;
+    const { job, activeJob } = await startSyncJob(inbox, { importMessagesDays, dryRun }, req.user.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: "Sync já em andamento para esta inbox",
+        job_id: activeJob.id,
+        status: activeJob.status,
+      });
+    }
+    return res.status(202).json({ success: true, job_id: job.id, status: job.status, dry_run: dryRun });
+  } catch (err) {
+    console.error("[POST /inboxes/:inboxId/sync] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-      if (existingContact) {
-        await supabaseAdmin
-          .from("chat_contacts")
-          .update(updateData)
-          .eq("id", existingContact.id);
-        return existingContact.id;
-      }
-      const { data: newContact, error: contactError } = await supabaseAdmin
-        .from("chat_contacts")
-        .insert({
-          inbox_id: inbox.id,
-          organization_id: inbox.organization_id,
-          remote_jid: remoteJid,
-          source_id: sourceId,
-          name,
-          contact_type: contactType,
-          ...(avatarUrl != null && { avatar_url: avatarUrl }),
-        })
-        .select("id")
-        .single();
-      if (!contactError && newContact) {
-        contactsCreated++;
-        return newContact.id;
-      }
-      return null;
-    };
+/** Carrega a inbox e valida acesso do usuário (rotas de jobs de sync e de exportação). */
+async function loadSyncInbox(req, res) {
+  const { inboxId } = req.params;
+  if (!isValidUUID(inboxId)) {
+    res.status(400).json({ error: "Invalid inbox ID format" });
+    return null;
+  }
+  const { data: inbox } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("id, organization_id")
+    .eq("id", inboxId)
+    .maybeSingle();
+  if (!inbox) {
+    res.status(404).json({ error: "Inbox not found" });
+    return null;
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+  if (!hasAccess) {
+    res.status(403).json({ error: "Sem acesso à organização" });
+    return null;
+  }
+  return inbox;
+}
 
-    const getOrCreateConversation = async (contactId) => {
-      if (!contactId) return null;
-      const { data: existingConv } = await supabaseAdmin
-        .from("chat_conversations")
-        .select("id")
-        .eq("inbox_id", inbox.id)
-        .eq("contact_id", contactId)
-        .maybeSingle();
-      if (existingConv) return existingConv.id;
-      const { data: newConv, error: convError } = await supabaseAdmin
-        .from("chat_conversations")
-        .insert({
-          inbox_id: inbox.id,
-          contact_id: contactId,
-          organization_id: inbox.organization_id,
-          status: "open",
-        })
-        .select("id")
-        .single();
-      if (!convError && newConv?.id) {
-        conversationsCreated++;
-        return newConv.id;
-      }
-      return null;
-    };
+// --- POST /inboxes/:inboxId/reconcile ---
+// Marca contatos, grupos e chats que não estão mais no WhatsApp (stale/left/chat_missing_at). Nada é apagado.
+app.post("/inboxes/:inboxId/reconcile", authMiddleware, async (req, res) => {
+  const { inboxId } = req.params;
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
 
-    for (const contact of contacts) {
-      const remoteJid =
-        contact.id?.remoteJid ?? contact.remoteJid ?? contact.id;
-      if (!remoteJid || typeof remoteJid !== "string") continue;
-      if (remoteJid.endsWith("@g.us")) continue;
-      const name =
-        contact.name ?? contact.pushName ?? remoteJid.replace(/@.*$/, "") ?? remoteJid;
-      const avatarUrl =
-        contact.profilePicUrl ?? contact.profile_pic_url ?? null;
-      await upsertContactOnly(remoteJid, name, "individual", avatarUrl);
-    }
-
-    for (const group of groups) {
-      const remoteJid =
-        group.id?.remoteJid ?? group.id ?? group.remoteJid;
-      if (!remoteJid || typeof remoteJid !== "string") continue;
-      if (!remoteJid.endsWith("@g.us")) continue;
-      const name =
-        group.subject ?? group.name ?? remoteJid.replace(/@.*$/, "") ?? remoteJid;
-      const avatarUrl =
-        group.pictureUrl ?? group.picture_url ?? group.subjectPictureUrl ?? null;
-      await upsertContactOnly(remoteJid, name, "group", avatarUrl);
-    }
-
-    const upsertMessageFromChat = async (
-      conversationId,
-      remoteJid,
-      isGroup,
-      message
-    ) => {
-      if (!conversationId || !message) return false;
-      const evolutionMessageId =
-        message?.key?.id ??
-        message?.key?.messageId ??
-        message?.id ??
-        message?.messageId ??
-        null;
-
-      if (evolutionMessageId) {
-        const { data: existing } = await supabaseAdmin
-          .from("chat_messages")
-          .select("id")
-          .eq("evolution_message_id", evolutionMessageId)
-          .maybeSingle();
-        if (existing) return false;
-      }
+  try {
+    const { data: inbox } = await supabaseAdmin
+      .from("chat_inboxes")
+      .select("id, organization_id, evolution_instance_name, connection_status")
+      .eq("id", inboxId)
+      .maybeSingle();
+    if (!inbox) {
+      return res.status(404).json({ error: "Inbox not found" });
+    }
 
-      const content =
-        extractMessageContent(message) ??
-        message?.text ??
-        message?.body ??
-        message?.message?.conversation ??
-        null;
-      if (content == null) return false;
-
-      const isFromMe =
-        message?.key?.fromMe ??
-        message?.key?.from_me ??
-        message?.fromMe ??
-        false;
-      const timestamp =
-        message?.messageTimestamp ??
-        message?.message_timestamp ??
-        message?.timestamp ??
-        message?.conversationTimestamp ??
-        Date.now() / 1000;
-      const createdAt = new Date(Number(timestamp) * 1000).toISOString();
-
-      await supabaseAdmin.from("chat_messages").insert({
-        conversation_id: conversationId,
-        content: content || "",
-        direction: isFromMe ? "outgoing" : "incoming",
-        message_type: message?.messageType || message?.type || "text",
-        status: isFromMe ? "sent" : "received",
-        evolution_message_id: evolutionMessageId,
-        participant_remote_jid: isGroup ? message?.key?.participant ?? null : null,
-        created_at: createdAt,
-      });
+    const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+    if (!hasAccess) {
+      return res.status(403).json({ error: "Sem acesso à organização" });
+    }
+    if (inbox.connection_status !== "connected" || !inbox.evolution_instance_name) {
+      return res.status(400).json({ error: "Inbox must be connected to reconcile" });
+    }
 
-      await supabaseAdmin
-        .from("chat_conversations")
-        .update({ updated_at: createdAt })
-        .eq("id", conversationId);
-      return true;
-    };
+    // Sync em andamento ainda está gravando contatos: reconciliar agora marcaria dados parciais
+    const activeJob = await getActiveSyncJob(inbox.id);
+    if (activeJob) {
+      return res.status(409).json({ error: "Sync em andamento para esta inbox", job_id: activeJob.id });
+    }
 
-    const limitedChats = Array.isArray(chats) && chats.length > 0 ? chats.slice(0, 100) : [];
-
-    // Constantes para importação de histórico (único lugar)
-    const sinceTs = Date.now() / 1000 - importMessagesDays * 24 * 3600;
-    const HISTORY_LIMIT_PER_CHAT = 500;
-    const HISTORY_MAX_CHATS = 80;
-
-    // Helper único: findMessages + contato + conversa + mensagens (evita duplicação e duplicatas por evolution_message_id)
-    const importMessagesForContact = async (remoteJid, name, isGroup, avatarUrl) => {
-      const { success, messages: msgs } = await findMessages(
-        inbox.evolution_instance_name,
-        remoteJid,
-        HISTORY_LIMIT_PER_CHAT
-      );
-      if (!success || !Array.isArray(msgs) || msgs.length === 0) return 0;
-      const contactId = await upsertContactOnly(
-        remoteJid,
-        name,
-        isGroup ? "group" : "individual",
-        avatarUrl ?? null
-      );
-      if (!contactId) return 0;
-      const conversationId = await getOrCreateConversation(contactId);
-      if (!conversationId) return 0;
-      let inserted = 0;
-      for (const msg of msgs) {
-        const ts =
-          msg?.messageTimestamp ?? msg?.message_timestamp ?? msg?.timestamp ?? msg?.conversationTimestamp;
-        if (ts != null && Number(ts) < sinceTs) continue;
-        if (await upsertMessageFromChat(conversationId, remoteJid, isGroup, msg)) inserted++;
-      }
-      return inserted;
-    };
+    const result = await reconcileInbox(inbox);
+    if (!result.success) {
+      return res.status(502).json({ error: "Falha ao consultar a Evolution", detail: result.error });
+    }
+    return res.json({ success: true, contacts: result.contacts, conversations: result.conversations });
+  } catch (err) {
+    console.error("[POST /inboxes/:inboxId/reconcile] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    // 1) Chats com lastMessage (quando findChats retorna dados)
-    for (const chat of limitedChats) {
-      const remoteJid =
-        chat?.id?.remoteJid ??
-        chat?.id?._serialized ??
-        chat?.id ??
-        chat?.remoteJid ??
-        chat?.remote_jid ??
-        chat?.jid ??
-        null;
-      if (!remoteJid || typeof remoteJid !== "string") continue;
-      const isGroup = remoteJid.includes("@g.us");
-      const name =
-        chat?.name ??
-        chat?.pushName ??
-        chat?.contactName ??
-        chat?.subject ??
-        remoteJid.replace(/@.*$/, "") ??
-        remoteJid;
-      const avatarUrl =
-        chat?.profilePicUrl ?? chat?.pictureUrl ?? chat?.avatarUrl ?? null;
-
-      const contactId = await upsertContactOnly(
-        remoteJid,
-        name,
-        isGroup ? "group" : "individual",
-        avatarUrl
-      );
-      if (!contactId) continue;
-
-      const lastMessage =
-        chat?.lastMessage ??
-        (Array.isArray(chat?.messages) && chat.messages.length > 0
-          ? chat.messages[chat.messages.length - 1]
-          : null);
-      if (lastMessage && typeof lastMessage === "object") {
-        const conversationId = await getOrCreateConversation(contactId);
-        if (conversationId) {
-          const inserted = await upsertMessageFromChat(
-            conversationId,
-            remoteJid,
-            isGroup,
-            lastMessage
-          );
-          if (inserted) {
-            chatsProcessed++;
-            messagesInserted++;
-          }
-        }
+const SYNC_JOB_FIELDS =
+  "id, inbox_id, status, phase, progress, errors, options, result, cancel_requested, created_by, created_at, started_at, finished_at, updated_at";
+
+// --- GET /inboxes/:inboxId/export ---
+// Histórico da inbox (todas as conversas). Mesma query da exportação por conversa; acima de
+// EXPORT_STREAM_MAX_MESSAGES mensagens (ou com async=true) responde 202 com job_id e o arquivo fica em
+// GET /inboxes/:inboxId/exports/:jobId.
+app.get("/inboxes/:inboxId/export", authMiddleware, async (req, res) => {
+  const { options, error: optionsError } = parseExportOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const inbox = await loadSyncInbox(req, res);
+    if (!inbox) return;
+    const { data: details } = await supabaseAdmin
+      .from("chat_inboxes")
+      .select("id, name, organization_id")
+      .eq("id", inbox.id)
+      .single();
+
+    const total = await countInboxExportMessages(supabase, inbox.id, options);
+    if (req.query.async === "true" || total > EXPORT_STREAM_MAX_MESSAGES) {
+      const { job, activeJob } = await startExportJob(details, options, req.user.id);
+      if (activeJob) {
+        return res.status(409).json({
+          error: "Exportação já em andamento para esta inbox",
+          job_id: activeJob.id,
+          status: activeJob.status,
+        });
       }
+      return res.status(202).json({ success: true, job_id: job.id, status: job.status, messages_total: total });
     }
 
-    // 2) Importar histórico: quando findChats trouxer chats, usa limitedChats; senão fallback por findContacts + grupos (estilo Chatwoot)
-    if (importMessagesDays > 0) {
-      if (limitedChats.length > 0) {
-        for (let i = 0; i < Math.min(limitedChats.length, HISTORY_MAX_CHATS); i++) {
-          const chat = limitedChats[i];
-          const remoteJid =
-            chat?.id?.remoteJid ??
-            chat?.id?._serialized ??
-            chat?.id ??
-            chat?.remoteJid ??
-            chat?.remote_jid ??
-            chat?.jid ??
-            null;
-          if (!remoteJid || typeof remoteJid !== "string") continue;
-          const isGroup = remoteJid.includes("@g.us");
-          const name =
-            chat?.name ??
-            chat?.pushName ??
-            chat?.contactName ??
-            chat?.subject ??
-            remoteJid.replace(/@.*$/, "") ??
-            remoteJid;
-          const avatarUrl = chat?.profilePicUrl ?? chat?.pictureUrl ?? chat?.avatarUrl ?? null;
-          messagesInserted += await importMessagesForContact(remoteJid, name, isGroup, avatarUrl);
-        }
-      } else {
-        const fallbackSources = [];
-        for (const c of contacts) {
-          const remoteJid = c.id?.remoteJid ?? c.remoteJid ?? c.id;
-          if (!remoteJid || typeof remoteJid !== "string" || String(remoteJid).endsWith("@g.us")) continue;
-          fallbackSources.push({
-            remoteJid,
-            name: c.name ?? c.pushName ?? String(remoteJid).replace(/@.*$/, "") || remoteJid,
-            isGroup: false,
-            avatarUrl: c.profilePicUrl ?? c.profile_pic_url ?? null,
-          });
-        }
-        for (const g of groups) {
-          const remoteJid = g.id?.remoteJid ?? g.id ?? g.remoteJid;
-          if (!remoteJid || typeof remoteJid !== "string" || !String(remoteJid).endsWith("@g.us")) continue;
-          fallbackSources.push({
-            remoteJid,
-            name: g.subject ?? g.name ?? String(remoteJid).replace(/@.*$/, "") || remoteJid,
-            isGroup: true,
-            avatarUrl: g.pictureUrl ?? g.picture_url ?? g.subjectPictureUrl ?? null,
-          });
-        }
-        for (const item of fallbackSources.slice(0, HISTORY_MAX_CHATS)) {
-          messagesInserted += await importMessagesForContact(
-            item.remoteJid,
-            item.name,
-            item.isGroup,
-            item.avatarUrl
-          );
-        }
-      }
+    await streamExport(
+      res,
+      supabase,
+      { inbox: details, options },
+      exportFileName(`inbox-${inbox.id}`, options.format)
+    );
+  } catch (err) {
+    console.error("[GET /inboxes/:inboxId/export] Error:", err);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /inboxes/:inboxId/exports --- últimas exportações em background da inbox
+app.get("/inboxes/:inboxId/exports", authMiddleware, async (req, res) => {
+  try {
+    const inbox = await loadSyncInbox(req, res);
+    if (!inbox) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { data: jobs, error } = await supabaseAdmin
+      .from("chat_export_jobs")
+      .select(EXPORT_JOB_FIELDS)
+      .eq("inbox_id", inbox.id)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return res.json({ jobs: jobs || [] });
+  } catch (err) {
+    console.error("[GET /inboxes/:inboxId/exports] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /inboxes/:inboxId/exports/:jobId --- status da exportação; download_url (1 h) quando concluída
+app.get("/inboxes/:inboxId/exports/:jobId", authMiddleware, async (req, res) => {
+  if (!isValidUUID(req.params.jobId)) {
+    return res.status(400).json({ error: "Invalid job ID format" });
+  }
+  try {
+    const inbox = await loadSyncInbox(req, res);
+    if (!inbox) return;
+    const { data: job } = await supabaseAdmin
+      .from("chat_export_jobs")
+      .select(`${EXPORT_JOB_FIELDS}, storage_path`)
+      .eq("id", req.params.jobId)
+      .eq("inbox_id", inbox.id)
+      .maybeSingle();
+    if (!job) {
+      return res.status(404).json({ error: "Export job not found" });
     }
+    const downloadUrl = absoluteUrl(req, await getExportDownloadUrl(job));
+    delete job.storage_path;
+    return res.json({ job, download_url: downloadUrl ?? null });
+  } catch (err) {
+    console.error("[GET /inboxes/:inboxId/exports/:jobId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    const { count: convCount } = await supabaseAdmin
-      .from("chat_conversations")
-      .select("*", { count: "exact", head: true })
-      .eq("inbox_id", inboxId);
-    const { count: contactCount } = await supabaseAdmin
-      .from("chat_contacts")
-      .select("*", { count: "exact", head: true })
-      .eq("inbox_id", inboxId);
+// --- GET /inboxes/:inboxId/sync/jobs --- últimos jobs de sync da inbox
+app.get("/inboxes/:inboxId/sync/jobs", authMiddleware, async (req, res) => {
+  try {
+    const inbox = await loadSyncInbox(req, res);
+    if (!inbox) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { data: jobs, error } = await supabaseAdmin
+      .from("chat_sync_jobs")
+      .select(SYNC_JOB_FIELDS)
+      .eq("inbox_id", inbox.id)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return res.json({ jobs: jobs || [] });
+  } catch (err) {
+    console.error("[GET /inboxes/:inboxId/sync/jobs] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    await supabaseAdmin
-      .from("chat_inboxes")
-      .update({
-        contacts_count: contactCount ?? 0,
-        conversations_count: convCount ?? 0,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", inboxId);
+// --- GET /inboxes/:inboxId/sync/jobs/:jobId --- fase, contadores, erros e conclusão do job
+app.get("/inboxes/:inboxId/sync/jobs/:jobId", authMiddleware, async (req, res) => {
+  try {
+    if (!isValidUUID(req.params.jobId)) {
+      return res.status(400).json({ error: "Invalid job ID format" });
+    }
+    const inbox = await loadSyncInbox(req, res);
+    if (!inbox) return;
+    const { data: job } = await supabaseAdmin
+      .from("chat_sync_jobs")
+      .select(SYNC_JOB_FIELDS)
+      .eq("id", req.params.jobId)
+      .eq("inbox_id", inbox.id)
+      .maybeSingle();
+    if (!job) {
+      return res.status(404).json({ error: "Sync job not found" });
+    }
+    return res.json({ job });
+  } catch (err) {
+    console.error("[GET /inboxes/:inboxId/sync/jobs/:jobId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    console.log(
-      "[POST /inboxes/:inboxId/sync] OK:",
-      {
-        inboxId,
-        contacts_created: contactsCreated,
-        conversations_created: conversationsCreated,
-        chats_processed: chatsProcessed,
-        messages_inserted: messagesInserted,
-        import_messages_days: importMessagesDays || 0,
-      }
-    );
-    return res.json({
-      success: true,
-      contacts_processed: contacts.length + groups.length,
-      contacts_created: contactsCreated,
-      conversations_created: conversationsCreated,
-      chats_processed: chatsProcessed,
-      messages_inserted: messagesInserted,
-    });
+// --- POST /inboxes/:inboxId/sync/jobs/:jobId/cancel --- o job para no próximo checkpoint (status "cancelled")
+app.post("/inboxes/:inboxId/sync/jobs/:jobId/cancel", authMiddleware, async (req, res) => {
+  try {
+    if (!isValidUUID(req.params.jobId)) {
+      return res.status(400).json({ error: "Invalid job ID format" });
+    }
+    const inbox = await loadSyncInbox(req, res);
+    if (!inbox) return;
+    const job = await requestSyncCancel(inbox.id, req.params.jobId);
+    if (!job) {
+      return res.status(409).json({ error: "Job não está em andamento" });
+    }
+    return res.status(202).json({ success: true, job });
   } catch (err) {
-    console.error("[POST /inboxes/:inboxId/sync] Error:", err);
+    console.error("[POST /inboxes/:inboxId/sync/jobs/:jobId/cancel] Error:", err);
     return res.status(500).json({ error: err.message });
   }
 });
@@ -810,12 +1191,15 @@ app.get("/inboxes/:inboxId/conversations", authMiddleware, async (req, res) => {
         labels,
         is_archived,
         is_pinned,
+        chat_missing_at,
         contact:chat_contacts(
           id,
           name,
           remote_jid,
           contact_type,
-          avatar_url
+          avatar_url,
+          avatar_storage_path,
+          whatsapp_status
         )
       `
       )
@@ -841,6 +1225,7 @@ app.get("/inboxes/:inboxId/conversations", authMiddleware, async (req, res) => {
 
     const hasMore = (data || []).length > limit;
     const conversations = hasMore ? data.slice(0, limit) : data || [];
+    await withCachedAvatars(req, conversations.map((conv) => conv.contact));
 
     const conversationsWithPreview = await Promise.all(
       conversations.map(async (conv) => {
@@ -848,6 +1233,8 @@ app.get("/inboxes/:inboxId/conversations", authMiddleware, async (req, res) => {
           .from("chat_messages")
           .select("content, created_at")
           .eq("conversation_id", conv.id)
+          // Status nulo (mensagem gravada pelo worker externo) conta: not.in sozinho descartaria
+          .or("status.is.null,status.not.in.(scheduled,cancelled)")
           .order("created_at", { ascending: false })
           .limit(1)
           .maybeSingle();
@@ -884,6 +1271,105 @@ app.get("/inboxes/:inboxId/conversations", authMiddleware, async (req, res) => {
   }
 });
 
+// --- POST /inboxes/:inboxId/conversations - Iniciar conversa com um número ainda não sincronizado ---
+// Body: phone, name (opcional), content (opcional, primeira mensagem), check_whatsapp (default true).
+app.post("/inboxes/:inboxId/conversations", authMiddleware, async (req, res) => {
+  const { inboxId } = req.params;
+  const { phone, name, content, check_whatsapp } = req.body || {};
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  const number = normalizePhoneNumber(phone);
+  if (!number) {
+    return res.status(400).json({ error: "phone must be a valid phone number" });
+  }
+  const text = typeof content === "string" ? content.trim() : "";
+  const checkWhatsapp = check_whatsapp !== false;
+
+  const { data: inbox } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("id, organization_id, evolution_instance_name, connection_status")
+    .eq("id", inboxId)
+    .single();
+  if (!inbox) {
+    return res.status(404).json({ error: "Inbox not found" });
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+  if ((checkWhatsapp || text) && (inbox.connection_status !== "connected" || !inbox.evolution_instance_name)) {
+    return res.status(400).json({ error: "Inbox must be connected to check numbers or send messages" });
+  }
+
+  try {
+    let remoteJid = `${number}@s.whatsapp.net`;
+    if (checkWhatsapp) {
+      const checkResult = await checkWhatsappNumbers(inbox.evolution_instance_name, [number]);
+      if (!checkResult.success) {
+        return res.status(502).json({ error: "Evolution number check failed", detail: checkResult.error });
+      }
+      const found = checkResult.results[0];
+      if (!found?.exists) {
+        return res.status(422).json({ error: "Número não possui WhatsApp" });
+      }
+      // JID retornado pela Evolution já resolve o nono dígito de números brasileiros
+      if (found.jid) remoteJid = found.jid;
+    }
+
+    const findContact = () =>
+      supabaseAdmin
+        .from("chat_contacts")
+        .select("id, name, remote_jid, contact_type, avatar_url")
+        .eq("inbox_id", inbox.id)
+        .eq("remote_jid", remoteJid)
+        .maybeSingle();
+    let { data: contact } = await findContact();
+    if (!contact) {
+      const { data: newContact, error: contactError } = await supabaseAdmin
+        .from("chat_contacts")
+        .insert({
+          inbox_id: inbox.id,
+          organization_id: inbox.organization_id,
+          remote_jid: remoteJid,
+          source_id: remoteJid,
+          name: (typeof name === "string" && name.trim()) || remoteJid.replace(/@.*$/, ""),
+          contact_type: "individual",
+        })
+        .select("id, name, remote_jid, contact_type, avatar_url")
+        .single();
+      if (contactError?.code === "23505") {
+        // Outra requisição criou o contato entre a busca e o insert
+        const { data: existing, error: findError } = await findContact();
+        if (findError || !existing) throw findError ?? contactError;
+        contact = existing;
+      } else if (contactError) {
+        throw contactError;
+      } else {
+        contact = newContact;
+      }
+    }
+
+    const conversation = await getOrCreateConversation(inbox, contact.id);
+    if (!conversation) {
+      return res.status(500).json({ error: "Failed to create conversation" });
+    }
+
+    const message = text
+      ? await queueOutgoingMessage(conversation.id, { content: text }, { text })
+      : null;
+
+    return res.status(conversation.created ? 201 : 200).json({
+      conversation: { id: conversation.id, created: conversation.created },
+      contact,
+      message,
+    });
+  } catch (err) {
+    console.error("[POST /inboxes/:inboxId/conversations] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 // --- GET /inboxes/:inboxId/contacts (Especificação § 8.3) ---
 app.get("/inboxes/:inboxId/contacts", authMiddleware, async (req, res) => {
   const { inboxId } = req.params;
@@ -905,7 +1391,9 @@ app.get("/inboxes/:inboxId/contacts", authMiddleware, async (req, res) => {
   try {
     let query = supabase
       .from("chat_contacts")
-      .select("id, name, remote_jid, contact_type, avatar_url, updated_at")
+      .select(
+        "id, name, remote_jid, contact_type, avatar_url, avatar_storage_path, whatsapp_status, whatsapp_missing_since, updated_at"
+      )
       .eq("inbox_id", inboxId)
       .order("updated_at", { ascending: false })
       .limit(limit + 1);
@@ -916,6 +1404,7 @@ app.get("/inboxes/:inboxId/contacts", authMiddleware, async (req, res) => {
 
     const hasMore = (data || []).length > limit;
     const contacts = hasMore ? data.slice(0, limit) : data || [];
+    await withCachedAvatars(req, contacts);
 
     return res.json({
       contacts,
@@ -928,6 +1417,89 @@ app.get("/inboxes/:inboxId/contacts", authMiddleware, async (req, res) => {
   }
 });
 
+// --- POST /contacts/:contactId/avatar/refresh ---
+// Busca a foto de perfil na Evolution agora (intervalo mínimo de 5 min desde a última checagem).
+app.post("/contacts/:contactId/avatar/refresh", authMiddleware, async (req, res) => {
+  const { contactId } = req.params;
+  if (!isValidUUID(contactId)) {
+    return res.status(400).json({ error: "Invalid contact ID format" });
+  }
+
+  try {
+    const { data: contact } = await supabaseAdmin
+      .from("chat_contacts")
+      .select(
+        "id, remote_jid, avatar_url, avatar_hash, avatar_storage_path, avatar_checked_at, inbox:chat_inboxes(id, organization_id, evolution_instance_name, connection_status)"
+      )
+      .eq("id", contactId)
+      .maybeSingle();
+    if (!contact?.inbox) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    const hasAccess = await validateOrganizationAccess(req.user.id, contact.inbox.organization_id);
+    if (!hasAccess) {
+      return res.status(403).json({ error: "Sem acesso à organização" });
+    }
+    if (contact.inbox.connection_status !== "connected" || !contact.inbox.evolution_instance_name) {
+      return res.status(400).json({ error: "Inbox must be connected to refresh avatars" });
+    }
+
+    const result = await refreshContactAvatar(contact, contact.inbox, ON_DEMAND_COOLDOWN_MS);
+    if (result.status === "failed") {
+      return res.status(502).json({ error: "Falha ao atualizar avatar", detail: result.error });
+    }
+
+    const { data: updated } = await supabaseAdmin
+      .from("chat_contacts")
+      .select("id, avatar_url, avatar_storage_path, avatar_checked_at, avatar_updated_at")
+      .eq("id", contactId)
+      .single();
+    await withCachedAvatars(req, [updated]);
+    return res.json({ success: true, status: result.status, contact: updated });
+  } catch (err) {
+    console.error("[POST /contacts/:contactId/avatar/refresh] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- POST /inboxes/:inboxId/avatars/refresh ---
+// Atualiza em background os avatares da inbox não checados nos últimos 5 min.
+app.post("/inboxes/:inboxId/avatars/refresh", authMiddleware, async (req, res) => {
+  const { inboxId } = req.params;
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+
+  try {
+    const { data: inbox } = await supabaseAdmin
+      .from("chat_inboxes")
+      .select("id, organization_id, evolution_instance_name, connection_status")
+      .eq("id", inboxId)
+      .maybeSingle();
+    if (!inbox) {
+      return res.status(404).json({ error: "Inbox not found" });
+    }
+
+    const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+    if (!hasAccess) {
+      return res.status(403).json({ error: "Sem acesso à organização" });
+    }
+    if (inbox.connection_status !== "connected" || !inbox.evolution_instance_name) {
+      return res.status(400).json({ error: "Inbox must be connected to refresh avatars" });
+    }
+
+    const { started, pending } = await startInboxAvatarRefresh(inbox);
+    if (!started) {
+      return res.status(409).json({ error: "Atualização de avatares já em andamento para esta inbox" });
+    }
+    return res.status(202).json({ success: true, pending });
+  } catch (err) {
+    console.error("[POST /inboxes/:inboxId/avatars/refresh] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 // --- GET /conversations/:conversationId/messages (Especificação § 8.4) ---
 app.get("/conversations/:conversationId/messages", authMiddleware, async (req, res) => {
   const { conversationId } = req.params;
@@ -950,9 +1522,36 @@ app.get("/conversations/:conversationId/messages", authMiddleware, async (req, r
     let query = supabase
       .from("chat_messages")
       .select(
-        "id, content, direction, message_type, status, created_at, evolution_message_id, participant_remote_jid"
+        `
+        id,
+        content,
+        direction,
+        message_type,
+        status,
+        created_at,
+        evolution_message_id,
+        participant_remote_jid,
+        media_url,
+        media_mimetype,
+        media_file_name,
+        media_size,
+        media_duration,
+        media_storage_path,
+        payload,
+        reply_to_message_id,
+        edited_at,
+        edit_history,
+        is_revoked,
+        revoked_at,
+        scheduled_at,
+        reply_to:reply_to_message_id(id, content, direction, message_type, participant_remote_jid, created_at),
+        reactions:chat_message_reactions(emoji, reactor_jid, from_me, updated_at)
+      `
       )
       .eq("conversation_id", conversationId)
+      // Agendadas ainda não fazem parte da conversa: entram (com created_at do envio) quando o scheduler as envia
+      // (status nulo, do worker externo, entra: not.in sozinho o descartaria)
+      .or("status.is.null,status.not.in.(scheduled,cancelled)")
       .order("created_at", { ascending: false })
       .limit(limit + 1);
     if (before) query = query.lt("created_at", before);
@@ -963,6 +1562,36 @@ app.get("/conversations/:conversationId/messages", authMiddleware, async (req, r
     const hasMore = (data || []).length > limit;
     const messages = hasMore ? data.slice(0, limit) : data || [];
 
+    // Grupos: remetente (nome e avatar) de cada mensagem recebida
+    const participantJids = messages.map((m) => m.participant_remote_jid).filter(Boolean);
+    if (participantJids.length > 0) {
+      const { data: conversation } = await supabase
+        .from("chat_conversations")
+        .select("inbox_id, contact_id")
+        .eq("id", conversationId)
+        .maybeSingle();
+      if (conversation) {
+        const directory = await participantDirectory(
+          supabase,
+          conversation.inbox_id,
+          conversation.contact_id,
+          participantJids
+        );
+        const senders = new Map();
+        for (const [jid, info] of directory) senders.set(jid, { jid, ...info });
+        await withCachedAvatars(req, [...senders.values()]);
+        for (const message of messages) {
+          if (message.participant_remote_jid) {
+            message.sender = senders.get(message.participant_remote_jid) ?? {
+              jid: message.participant_remote_jid,
+              name: null,
+              avatar_url: null,
+            };
+          }
+        }
+      }
+    }
+
     return res.json({
       messages,
       has_more: hasMore,
@@ -975,99 +1604,1274 @@ app.get("/conversations/:conversationId/messages", authMiddleware, async (req, r
   }
 });
 
-// --- POST /conversations/:conversationId/messages (Especificação § 8.4) ---
-app.post("/conversations/:conversationId/messages", authMiddleware, async (req, res) => {
+// --- GET /conversations/:conversationId/participants ---
+// Metadados e participantes de conversa em grupo. Metadados com mais de 1h (ou refresh=true) são
+// atualizados pela Evolution quando a inbox está conectada. Query: include_left=true inclui quem saiu.
+app.get("/conversations/:conversationId/participants", authMiddleware, async (req, res) => {
   const { conversationId } = req.params;
-  const { content } = req.body || {};
-
   if (!isValidUUID(conversationId)) {
     return res.status(400).json({ error: "Invalid conversation ID format" });
   }
-  const text = typeof content === "string" ? content.trim() : "";
-  if (!text) {
-    return res.status(400).json({
-      error: "Conteúdo da mensagem é obrigatório",
-    });
-  }
 
   const supabase = supabaseFromReq(req);
   if (!supabase) {
     return res.status(503).json({ error: "Database not configured" });
   }
 
+  const GROUP_FIELDS =
+    "id, remote_jid, name, contact_type, avatar_url, avatar_storage_path, group_description, group_owner_jid, group_size, group_metadata_updated_at";
+
   try {
-    const { data: conversation, error: convError } = await supabase
+    const { data: conversation } = await supabase
       .from("chat_conversations")
       .select(
-        `
-        id,
-        inbox:chat_inboxes(id, evolution_instance_name),
-        contact:chat_contacts(id, remote_jid)
-      `
+        `id, inbox:chat_inboxes(id, evolution_instance_name, connection_status), contact:chat_contacts(${GROUP_FIELDS})`
       )
       .eq("id", conversationId)
-      .single();
-
-    if (convError || !conversation) {
+      .maybeSingle();
+    if (!conversation?.contact) {
       return res.status(404).json({ error: "Conversa não encontrada" });
     }
-
-    const instanceName = conversation.inbox?.evolution_instance_name;
-    const remoteJid = conversation.contact?.remote_jid;
-    if (!instanceName || !remoteJid) {
-      return res.status(400).json({
-        error: "Conversation or inbox not ready for sending",
-      });
+    if (conversation.contact.contact_type !== "group") {
+      return res.status(400).json({ error: "Conversation is not a group" });
     }
 
-    const { data: message, error: msgError } = await supabaseAdmin
-      .from("chat_messages")
-      .insert({
-        conversation_id: conversationId,
-        content: text,
-        direction: "outgoing",
-        message_type: "text",
-        status: "sending",
-      })
-      .select()
-      .single();
+    let group = conversation.contact;
+    const forceRefresh = req.query.refresh === "true";
+    const updatedAt = group.group_metadata_updated_at
+      ? new Date(group.group_metadata_updated_at).getTime()
+      : 0;
+    const canRefresh =
+      conversation.inbox?.connection_status === "connected" && conversation.inbox.evolution_instance_name;
+    if (forceRefresh && !canRefresh) {
+      return res.status(400).json({ error: "Inbox must be connected to refresh group" });
+    }
+    if (canRefresh && (forceRefresh || Date.now() - updatedAt > GROUP_METADATA_MAX_AGE_MS)) {
+      const result = await refreshGroup(conversation.inbox, group);
+      if (!result.success) {
+        if (forceRefresh) {
+          return res.status(502).json({ error: "Falha ao atualizar grupo", detail: result.error });
+        }
+        // Atualização automática é best-effort: devolve o que já está gravado
+        console.warn("[GET /conversations/:conversationId/participants] Refresh falhou:", result.error);
+      } else {
+        const { data: refreshed } = await supabase
+          .from("chat_contacts")
+          .select(GROUP_FIELDS)
+          .eq("id", group.id)
+          .single();
+        if (refreshed) group = refreshed;
+      }
+    }
 
-    if (msgError) throw msgError;
+    let query = supabase
+      .from("chat_group_participants")
+      .select("participant_jid, name, role, is_active, left_at, avatar_url")
+      .eq("group_contact_id", group.id)
+      .order("participant_jid", { ascending: true });
+    if (req.query.include_left !== "true") query = query.eq("is_active", true);
+    const { data: rows, error } = await query;
+    if (error) throw error;
 
-    const sendResult = await sendText(
-      instanceName,
-      remoteJid.replace(/@s.whatsapp.net/, "").replace(/@g.us/, ""),
-      text
+    const directory = await participantDirectory(
+      supabase,
+      conversation.inbox.id,
+      group.id,
+      (rows || []).map((r) => r.participant_jid)
     );
+    const participants = (rows || []).map((r) => {
+      const known = directory.get(r.participant_jid);
+      return {
+        jid: r.participant_jid,
+        name: known?.name ?? null,
+        role: r.role,
+        is_admin: r.role === "admin" || r.role === "superadmin",
+        is_active: r.is_active,
+        left_at: r.left_at,
+        avatar_url: known?.avatar_url ?? null,
+        avatar_storage_path: known?.avatar_storage_path ?? null,
+      };
+    });
+    await withCachedAvatars(req, [group, ...participants]);
 
-    const newStatus = sendResult.success && sendResult.data?.key?.id
-      ? "sent"
-      : "failed";
+    return res.json({
+      group: {
+        name: group.name,
+        description: group.group_description,
+        owner_jid: group.group_owner_jid,
+        size: group.group_size,
+        avatar_url: group.avatar_url,
+        updated_at: group.group_metadata_updated_at,
+      },
+      participants,
+    });
+  } catch (err) {
+    console.error("[GET /conversations/:conversationId/participants] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    await supabaseAdmin
-      .from("chat_messages")
-      .update({
-        status: newStatus,
-        evolution_message_id: sendResult.data?.key?.id ?? null,
-      })
-      .eq("id", message.id);
+/**
+ * Envia a exportação em streaming como anexo. Erro depois do primeiro chunk encerra a conexão
+ * (o status já foi enviado); quem chama trata o erro antes disso.
+ */
+async function streamExport(res, supabase, params, fileName) {
+  res.setHeader("Content-Type", EXPORT_FORMATS[params.options.format].contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  const write = async (chunk) => {
+    if (res.destroyed) throw new Error("Cliente desconectou");
+    if (!res.write(chunk)) await Promise.race([once(res, "drain"), once(res, "close")]);
+  };
+  await writeExport(supabase, params, write);
+  res.end();
+}
 
-    await supabaseAdmin
+// --- GET /conversations/:conversationId/export ---
+// Histórico da conversa para download. Query: format (json, csv, txt), from, to (to exclusivo; data sem hora
+// inclui o dia), timezone (horários do .txt; default America/Sao_Paulo).
+app.get("/conversations/:conversationId/export", authMiddleware, async (req, res) => {
+  const { conversationId } = req.params;
+  if (!isValidUUID(conversationId)) {
+    return res.status(400).json({ error: "Invalid conversation ID format" });
+  }
+  const { options, error: optionsError } = parseExportOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data: conversation } = await supabase
       .from("chat_conversations")
-      .update({ updated_at: new Date().toISOString() })
-      .eq("id", conversationId);
+      .select("id, inbox:chat_inboxes(id, name)")
+      .eq("id", conversationId)
+      .maybeSingle();
+    if (!conversation?.inbox) {
+      return res.status(404).json({ error: "Conversa não encontrada" });
+    }
 
-    return res.status(201).json({
-      ...message,
-      status: newStatus,
-      evolution_message_id: sendResult.data?.key?.id ?? null,
+    await streamExport(
+      res,
+      supabase,
+      { inbox: conversation.inbox, conversationId, options },
+      exportFileName(`conversa-${conversationId}`, options.format)
+    );
+  } catch (err) {
+    console.error("[GET /conversations/:conversationId/export] Error:", err);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+const MEDIA_URL_DEFAULT_EXPIRES_SECONDS = 60 * 60;
+const MEDIA_URL_MAX_EXPIRES_SECONDS = 24 * 60 * 60;
+
+// --- GET /conversations/:conversationId/messages/:messageId/media ---
+// URL temporária da mídia armazenada (importada no sync). Query: expires_in (segundos, default 3600, máx. 86400).
+app.get("/conversations/:conversationId/messages/:messageId/media", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+  const expiresIn = Math.min(
+    Math.max(parseInt(req.query.expires_in, 10) || MEDIA_URL_DEFAULT_EXPIRES_SECONDS, 60),
+    MEDIA_URL_MAX_EXPIRES_SECONDS
+  );
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data: message } = await supabase
+      .from("chat_messages")
+      .select("id, message_type, media_url, media_storage_path, media_mimetype, media_file_name, media_size, media_duration")
+      .eq("id", messageId)
+      .eq("conversation_id", conversationId)
+      .maybeSingle();
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada" });
+    }
+
+    const media = {
+      mimetype: message.media_mimetype,
+      file_name: message.media_file_name,
+      size: message.media_size,
+      duration: message.media_duration,
+    };
+    if (!message.media_storage_path) {
+      // Mídia enviada por URL pública: não há arquivo no storage
+      if (message.media_url && /^https?:\/\//i.test(message.media_url)) {
+        return res.json({ url: message.media_url, expires_in: null, ...media });
+      }
+      return res.status(404).json({ error: "Mídia não armazenada para esta mensagem" });
+    }
+
+    const signed = await getSignedMediaUrl(message.media_storage_path, expiresIn);
+    if (!signed.success) {
+      return res.status(502).json({ error: "Falha ao gerar URL da mídia", detail: signed.error });
+    }
+    return res.json({ url: absoluteUrl(req, signed.url), expires_in: expiresIn, ...media });
+  } catch (err) {
+    console.error("[GET /conversations/:conversationId/messages/:messageId/media] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /media/local/* --- arquivos do storage local (MEDIA_STORAGE_DRIVER=local), só com URL assinada
+app.get(`${LOCAL_MEDIA_ROUTE}/*`, async (req, res) => {
+  const file = await readLocalMedia(req.params[0], req.query.expires, req.query.signature);
+  if (!file) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  res.set("Cache-Control", "private, max-age=300");
+  return res.type(path.extname(req.params[0]) || "application/octet-stream").send(file);
+});
+
+// --- POST /conversations/:conversationId/messages (Especificação § 8.4) ---
+// Body (JSON ou multipart): content (texto/legenda) e, opcionalmente, mídia via "file" (multipart),
+// media_url ou media_base64, com media_type (image|video|audio|document), mimetype e file_name.
+// reply_to_message_id (opcional): id em chat_messages da mesma conversa a ser citado na resposta.
+// scheduled_at (opcional, só texto): grava com status "scheduled" e o envio fica com o worker (scheduler.js).
+// canned_response_id + variables (opcional): o texto é a resposta pronta renderizada ({{contact.name}}, {{agent.name}}...).
+// Header Idempotency-Key (opcional): repetição devolve a resposta original sem enfileirar de novo.
+app.post("/conversations/:conversationId/messages", authMiddleware, uploadMedia, idempotencyMiddleware, async (req, res) => {
+  const { conversationId } = req.params;
+  const { content, reply_to_message_id, scheduled_at, canned_response_id } = req.body || {};
+
+  if (!isValidUUID(conversationId)) {
+    return res.status(400).json({ error: "Invalid conversation ID format" });
+  }
+  if (reply_to_message_id != null && reply_to_message_id !== "" && !isValidUUID(reply_to_message_id)) {
+    return res.status(400).json({ error: "reply_to_message_id must be a valid UUID" });
+  }
+  let text = typeof content === "string" ? content.trim() : "";
+  const { media, error: mediaError } = parseOutgoingMedia(req);
+  if (mediaError) {
+    return res.status(400).json({ error: mediaError });
+  }
+  let variables = {};
+  if (canned_response_id) {
+    if (!isValidUUID(canned_response_id)) {
+      return res.status(400).json({ error: "canned_response_id must be a valid UUID" });
+    }
+    if (text) {
+      return res.status(400).json({ error: "Use content ou canned_response_id, não ambos" });
+    }
+    const { variables: vars, error: varsError } = parseTemplateVariables(req.body?.variables);
+    if (varsError) return res.status(400).json({ error: varsError });
+    variables = vars;
+  } else if (!text && !media) {
+    return res.status(400).json({
+      error: "Conteúdo da mensagem é obrigatório",
     });
+  }
+  let scheduledAt = null;
+  if (scheduled_at != null && scheduled_at !== "") {
+    if (media) {
+      return res.status(400).json({ error: "Agendamento suporta apenas mensagens de texto" });
+    }
+    const parsed = parseScheduledAt(scheduled_at);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    scheduledAt = parsed.scheduledAt;
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data: conversation, error: convError } = await supabase
+      .from("chat_conversations")
+      .select(
+        `
+        id,
+        organization_id,
+        inbox:chat_inboxes(id, name, evolution_instance_name),
+        contact:chat_contacts(id, name, remote_jid)
+      `
+      )
+      .eq("id", conversationId)
+      .single();
+
+    if (convError || !conversation) {
+      return res.status(404).json({ error: "Conversa não encontrada" });
+    }
+
+    const instanceName = conversation.inbox?.evolution_instance_name;
+    const remoteJid = conversation.contact?.remote_jid;
+    if (!instanceName || !remoteJid) {
+      return res.status(400).json({
+        error: "Conversation or inbox not ready for sending",
+      });
+    }
+
+    if (canned_response_id) {
+      const { data: canned } = await supabaseAdmin
+        .from("chat_canned_responses")
+        .select("id, content")
+        .eq("id", canned_response_id)
+        .eq("organization_id", conversation.organization_id)
+        .maybeSingle();
+      if (!canned) {
+        return res.status(404).json({ error: "Resposta pronta não encontrada" });
+      }
+      text = renderTemplate(
+        canned.content,
+        templateVars(
+          { contact: conversation.contact, inbox: conversation.inbox, user: req.user },
+          variables
+        )
+      ).trim();
+      if (!text && !media) {
+        return res.status(400).json({ error: "Resposta pronta ficou vazia após aplicar as variáveis" });
+      }
+    }
+
+    if (reply_to_message_id) {
+      const { data: quotedMsg } = await supabaseAdmin
+        .from("chat_messages")
+        .select("id, content, direction, evolution_message_id, participant_remote_jid")
+        .eq("id", reply_to_message_id)
+        .eq("conversation_id", conversationId)
+        .maybeSingle();
+      if (!quotedMsg) {
+        return res.status(404).json({ error: "Mensagem citada não encontrada" });
+      }
+      if (!quotedMsg.evolution_message_id) {
+        return res.status(400).json({ error: "Mensagem citada ainda não foi entregue ao WhatsApp" });
+      }
+    }
+
+    if (scheduledAt) {
+      // Fora da listagem de mensagens até o envio (GET scheduled-messages, por scheduled_at);
+      // o scheduler troca created_at pelo horário real do envio
+      const { data: scheduled, error: scheduleError } = await supabaseAdmin
+        .from("chat_messages")
+        .insert({
+          conversation_id: conversationId,
+          content: text,
+          direction: "outgoing",
+          message_type: "text",
+          status: "scheduled",
+          scheduled_at: scheduledAt,
+          reply_to_message_id: reply_to_message_id || null,
+        })
+        .select()
+        .single();
+      if (scheduleError) throw scheduleError;
+      return res.status(201).json(scheduled);
+    }
+
+    // Arquivo enviado (multipart ou base64) vai para o storage de mídia, como a mídia importada no sync,
+    // para a conversa conseguir exibir/baixar depois; media_url só existe quando a mídia veio por URL
+    const messageId = randomUUID();
+    let storedMedia = null;
+    if (media && !media.url) {
+      const mimetype = media.mimetype || "application/octet-stream";
+      const ext = mediaExtension(mimetype, media.fileName);
+      const storagePath = `${conversation.organization_id}/${conversation.inbox.id}/${conversationId}/${messageId}.${ext}`;
+      const saved = await saveMedia(storagePath, Buffer.from(media.source, "base64"), mimetype);
+      if (!saved.success) {
+        console.error("[POST /conversations/:conversationId/messages] saveMedia failed:", saved.error);
+        return res.status(502).json({ error: "Falha ao armazenar a mídia" });
+      }
+      storedMedia = { media_storage_path: saved.path, media_mimetype: mimetype };
+    }
+
+    // Envio fica com o worker da fila (outbound.js): retry com backoff e rate limit por instância
+    const message = await queueOutgoingMessage(
+      conversationId,
+      {
+        id: messageId,
+        content: media ? mediaPlaceholder(media.mediaType, text, media.fileName) : text,
+        message_type: media ? media.mediaType : "text",
+        reply_to_message_id: reply_to_message_id || null,
+        ...(media && {
+          media_url: media.url,
+          media_mimetype: media.mimetype,
+          media_file_name: media.fileName,
+          media_size: media.size,
+          ...storedMedia,
+        }),
+      },
+      {
+        text,
+        ...(media && {
+          // Arquivo já está no storage: a fila guarda só o caminho, não o base64
+          media: {
+            mediaType: media.mediaType,
+            ...(storedMedia ? { storagePath: storedMedia.media_storage_path } : { source: media.source }),
+            mimetype: media.mimetype,
+            fileName: media.fileName,
+          },
+        }),
+      }
+    );
+
+    return res.status(201).json(message);
   } catch (err) {
     console.error("[POST /conversations/:conversationId/messages] Error:", err);
     return res.status(500).json({ error: err.message });
   }
 });
 
+// --- POST /conversations/:conversationId/messages/:messageId/retry - Reenviar mensagem com falha ---
+app.post("/conversations/:conversationId/messages/:messageId/retry", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data: conv } = await supabase
+      .from("chat_conversations")
+      .select("id")
+      .eq("id", conversationId)
+      .maybeSingle();
+    if (!conv) {
+      return res.status(404).json({ error: "Conversa não encontrada" });
+    }
+
+    const { data: message } = await supabaseAdmin
+      .from("chat_messages")
+      .select("*")
+      .eq("id", messageId)
+      .eq("conversation_id", conversationId)
+      .maybeSingle();
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada" });
+    }
+    if (message.direction !== "outgoing" || message.status !== "failed") {
+      return res.status(409).json({ error: "Apenas mensagens enviadas com falha podem ser reenviadas" });
+    }
+
+    const retryResult = await retryMessage(message);
+    if (!retryResult.success) {
+      return res.status(409).json({ error: retryResult.error });
+    }
+    return res.json({ ...message, status: "queued" });
+  } catch (err) {
+    console.error("[POST /conversations/:conversationId/messages/:messageId/retry] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /conversations/:conversationId/scheduled-messages - Envios agendados pendentes ---
+app.get("/conversations/:conversationId/scheduled-messages", authMiddleware, async (req, res) => {
+  const { conversationId } = req.params;
+  if (!isValidUUID(conversationId)) {
+    return res.status(400).json({ error: "Invalid conversation ID format" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("chat_messages")
+      .select("id, content, status, scheduled_at, reply_to_message_id, created_at")
+      .eq("conversation_id", conversationId)
+      .eq("status", "scheduled")
+      .order("scheduled_at", { ascending: true });
+    if (error) throw error;
+    return res.json({ scheduled_messages: data || [] });
+  } catch (err) {
+    console.error("[GET /conversations/:conversationId/scheduled-messages] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- PATCH /conversations/:conversationId/scheduled-messages/:messageId - Reagendar/editar ---
+// Body: scheduled_at e/ou content. Só enquanto o status for "scheduled".
+app.patch("/conversations/:conversationId/scheduled-messages/:messageId", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { scheduled_at, content } = req.body || {};
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+
+  const updates = {};
+  if (scheduled_at != null) {
+    const parsed = parseScheduledAt(scheduled_at);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    updates.scheduled_at = parsed.scheduledAt;
+  }
+  if (content != null) {
+    const text = typeof content === "string" ? content.trim() : "";
+    if (!text) return res.status(400).json({ error: "Conteúdo da mensagem é obrigatório" });
+    updates.content = text;
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: "Body deve incluir scheduled_at ou content" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data: conv } = await supabase
+      .from("chat_conversations")
+      .select("id")
+      .eq("id", conversationId)
+      .maybeSingle();
+    if (!conv) {
+      return res.status(404).json({ error: "Conversa não encontrada" });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from("chat_messages")
+      .update(updates)
+      .eq("id", messageId)
+      .eq("conversation_id", conversationId)
+      .eq("status", "scheduled")
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!updated) {
+      return res.status(404).json({ error: "Envio agendado não encontrado ou já processado" });
+    }
+    return res.json(updated);
+  } catch (err) {
+    console.error("[PATCH /conversations/:conversationId/scheduled-messages/:messageId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- DELETE /conversations/:conversationId/scheduled-messages/:messageId - Cancelar envio agendado ---
+app.delete("/conversations/:conversationId/scheduled-messages/:messageId", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data: conv } = await supabase
+      .from("chat_conversations")
+      .select("id")
+      .eq("id", conversationId)
+      .maybeSingle();
+    if (!conv) {
+      return res.status(404).json({ error: "Conversa não encontrada" });
+    }
+
+    const { data: cancelled, error } = await supabaseAdmin
+      .from("chat_messages")
+      .update({ status: "cancelled" })
+      .eq("id", messageId)
+      .eq("conversation_id", conversationId)
+      .eq("status", "scheduled")
+      .select("id, status")
+      .maybeSingle();
+    if (error) throw error;
+    if (!cancelled) {
+      return res.status(404).json({ error: "Envio agendado não encontrado ou já processado" });
+    }
+    return res.json({ success: true, ...cancelled });
+  } catch (err) {
+    console.error("[DELETE /conversations/:conversationId/scheduled-messages/:messageId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- POST /conversations/:conversationId/messages/:messageId/reactions - Reagir com emoji ---
+// Body: emoji. Substitui a reação anterior da instância nesta mensagem.
+app.post("/conversations/:conversationId/messages/:messageId/reactions", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { emoji } = req.body || {};
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+  const reaction = typeof emoji === "string" ? emoji.trim() : "";
+  if (!reaction || reaction.length > 16) {
+    return res.status(400).json({ error: "emoji é obrigatório" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { conversation, message, status, error } = await loadConversationMessage(
+      supabase,
+      conversationId,
+      messageId
+    );
+    if (error) return res.status(status).json({ error });
+
+    const sendResult = await sendReaction(
+      conversation.inbox.evolution_instance_name,
+      messageKey(message, conversation.contact.remote_jid),
+      reaction
+    );
+    if (!sendResult.success) {
+      return res.status(502).json({ error: "Evolution send reaction failed", detail: sendResult.error });
+    }
+
+    const { error: saveError } = await saveReaction(message.id, OWN_REACTOR_JID, true, reaction);
+    if (saveError) throw saveError;
+
+    return res.status(201).json({
+      message_id: message.id,
+      emoji: reaction,
+      reactor_jid: OWN_REACTOR_JID,
+      from_me: true,
+    });
+  } catch (err) {
+    console.error("[POST /conversations/:conversationId/messages/:messageId/reactions] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- DELETE /conversations/:conversationId/messages/:messageId/reactions - Remover reação ---
+app.delete("/conversations/:conversationId/messages/:messageId/reactions", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { conversation, message, status, error } = await loadConversationMessage(
+      supabase,
+      conversationId,
+      messageId
+    );
+    if (error) return res.status(status).json({ error });
+
+    const sendResult = await sendReaction(
+      conversation.inbox.evolution_instance_name,
+      messageKey(message, conversation.contact.remote_jid),
+      ""
+    );
+    if (!sendResult.success) {
+      return res.status(502).json({ error: "Evolution send reaction failed", detail: sendResult.error });
+    }
+
+    const { error: saveError } = await saveReaction(message.id, OWN_REACTOR_JID, true, "");
+    if (saveError) throw saveError;
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[DELETE /conversations/:conversationId/messages/:messageId/reactions] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Valida se a mensagem enviada ainda pode ser alterada no WhatsApp.
+ * @returns {string|null} mensagem de erro ou null
+ */
+function checkOutgoingWindow(message, windowMs) {
+  if (message.direction !== "outgoing") {
+    return "Apenas mensagens enviadas podem ser alteradas";
+  }
+  if (message.is_revoked) {
+    return "Mensagem já foi apagada";
+  }
+  if (Date.now() - new Date(message.created_at).getTime() > windowMs) {
+    return "Prazo do WhatsApp para alterar esta mensagem expirou";
+  }
+  return null;
+}
+
+// --- PATCH /conversations/:conversationId/messages/:messageId - Editar mensagem enviada ---
+// Body: content. Só mensagens de texto "outgoing" dentro de 15 minutos; o texto anterior vai para edit_history.
+app.patch("/conversations/:conversationId/messages/:messageId", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { content } = req.body || {};
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text) {
+    return res.status(400).json({ error: "Conteúdo da mensagem é obrigatório" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { conversation, message, status, error } = await loadConversationMessage(
+      supabase,
+      conversationId,
+      messageId
+    );
+    if (error) return res.status(status).json({ error });
+
+    const windowError = checkOutgoingWindow(message, EDIT_WINDOW_MS);
+    if (windowError) return res.status(409).json({ error: windowError });
+    if (message.message_type !== "text") {
+      return res.status(409).json({ error: "Apenas mensagens de texto podem ser editadas" });
+    }
+    if (message.content === text) {
+      return res.json(message);
+    }
+
+    const remoteJid = conversation.contact.remote_jid;
+    const editResult = await updateMessage(
+      conversation.inbox.evolution_instance_name,
+      jidToNumber(remoteJid),
+      messageKey(message, remoteJid),
+      text
+    );
+    if (!editResult.success) {
+      return res.status(502).json({ error: "Evolution update message failed", detail: editResult.error });
+    }
+
+    const now = new Date().toISOString();
+    const editHistory = [
+      ...(Array.isArray(message.edit_history) ? message.edit_history : []),
+      { content: message.content, replaced_at: now },
+    ];
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("chat_messages")
+      .update({ content: text, edited_at: now, edit_history: editHistory })
+      .eq("id", message.id)
+      .select()
+      .single();
+    if (updateError) throw updateError;
+
+    return res.json(updated);
+  } catch (err) {
+    console.error("[PATCH /conversations/:conversationId/messages/:messageId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- DELETE /conversations/:conversationId/messages/:messageId - Apagar para todos ---
+// Só mensagens "outgoing" dentro da janela do WhatsApp; a linha é mantida com is_revoked = true.
+app.delete("/conversations/:conversationId/messages/:messageId", authMiddleware, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+    return res.status(400).json({ error: "Invalid conversation or message ID format" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { conversation, message, status, error } = await loadConversationMessage(
+      supabase,
+      conversationId,
+      messageId
+    );
+    if (error) return res.status(status).json({ error });
+
+    const windowError = checkOutgoingWindow(message, REVOKE_WINDOW_MS);
+    if (windowError) return res.status(409).json({ error: windowError });
+
+    const revokeResult = await deleteMessageForEveryone(
+      conversation.inbox.evolution_instance_name,
+      messageKey(message, conversation.contact.remote_jid)
+    );
+    if (!revokeResult.success) {
+      return res.status(502).json({ error: "Evolution delete message failed", detail: revokeResult.error });
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("chat_messages")
+      .update({ is_revoked: true, revoked_at: new Date().toISOString() })
+      .eq("id", message.id)
+      .select()
+      .single();
+    if (updateError) throw updateError;
+
+    return res.json(updated);
+  } catch (err) {
+    console.error("[DELETE /conversations/:conversationId/messages/:messageId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /canned-responses - Respostas prontas da organização ---
+// Query: organization_id (obrigatório), q (opcional, busca em shortcut/title/content).
+app.get("/canned-responses", authMiddleware, async (req, res) => {
+  const { organization_id, q } = req.query;
+  if (!isValidUUID(organization_id)) {
+    return res.status(400).json({ error: "organization_id must be a valid UUID" });
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from("chat_canned_responses")
+      .select("id, organization_id, shortcut, title, content, created_by, created_at, updated_at")
+      .eq("organization_id", organization_id)
+      .order("shortcut", { ascending: true });
+    if (typeof q === "string" && q.trim()) {
+      // Remove caracteres que quebram o filtro or() do PostgREST
+      const term = q.trim().replace(/[,()%*]/g, " ");
+      query = query.or(`shortcut.ilike.%${term}%,title.ilike.%${term}%,content.ilike.%${term}%`);
+    }
+    const { data, error } = await query;
+    if (error) throw error;
+    return res.json({ canned_responses: data || [] });
+  } catch (err) {
+    console.error("[GET /canned-responses] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- POST /canned-responses - Criar resposta pronta ---
+// Body: organization_id, shortcut, content (placeholders {{contact.name}}, {{agent.name}}...), title (opcional).
+app.post("/canned-responses", authMiddleware, async (req, res) => {
+  const { organization_id, shortcut, title, content } = req.body || {};
+  if (!isValidUUID(organization_id)) {
+    return res.status(400).json({ error: "organization_id must be a valid UUID" });
+  }
+  const cleanShortcut = typeof shortcut === "string" ? shortcut.trim() : "";
+  const cleanContent = typeof content === "string" ? content.trim() : "";
+  if (!cleanShortcut || !cleanContent) {
+    return res.status(400).json({ error: "Body must include shortcut and content" });
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("chat_canned_responses")
+      .insert({
+        organization_id,
+        shortcut: cleanShortcut,
+        title: typeof title === "string" ? title.trim() || null : null,
+        content: cleanContent,
+        created_by: req.user.id,
+      })
+      .select()
+      .single();
+    if (error?.code === "23505") {
+      return res.status(409).json({ error: "Já existe uma resposta pronta com este atalho" });
+    }
+    if (error) throw error;
+    return res.status(201).json(data);
+  } catch (err) {
+    console.error("[POST /canned-responses] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Carrega a resposta pronta e valida acesso do usuário à organização.
+ * @returns {Promise<{ canned?: object, status?: number, error?: string }>}
+ */
+async function loadCannedResponse(userId, id) {
+  const { data: canned } = await supabaseAdmin
+    .from("chat_canned_responses")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (!canned) {
+    return { status: 404, error: "Resposta pronta não encontrada" };
+  }
+  const hasAccess = await validateOrganizationAccess(userId, canned.organization_id);
+  if (!hasAccess) {
+    return { status: 403, error: "Sem acesso à organização" };
+  }
+  return { canned };
+}
+
+// --- PATCH /canned-responses/:id - Atualizar resposta pronta (shortcut, title, content) ---
+app.patch("/canned-responses/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const { shortcut, title, content } = req.body || {};
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: "Invalid canned response ID format" });
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (shortcut != null) {
+    if (typeof shortcut !== "string" || !shortcut.trim()) {
+      return res.status(400).json({ error: "shortcut must be a non-empty string" });
+    }
+    updates.shortcut = shortcut.trim();
+  }
+  if (content != null) {
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ error: "content must be a non-empty string" });
+    }
+    updates.content = content.trim();
+  }
+  if (title !== undefined) updates.title = typeof title === "string" ? title.trim() || null : null;
+  if (Object.keys(updates).length <= 1) {
+    return res.status(400).json({ error: "Body deve incluir shortcut, title ou content" });
+  }
+
+  try {
+    const { canned, status, error } = await loadCannedResponse(req.user.id, id);
+    if (error) return res.status(status).json({ error });
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("chat_canned_responses")
+      .update(updates)
+      .eq("id", canned.id)
+      .select()
+      .single();
+    if (updateError?.code === "23505") {
+      return res.status(409).json({ error: "Já existe uma resposta pronta com este atalho" });
+    }
+    if (updateError) throw updateError;
+    return res.json(updated);
+  } catch (err) {
+    console.error("[PATCH /canned-responses/:id] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- DELETE /canned-responses/:id ---
+app.delete("/canned-responses/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: "Invalid canned response ID format" });
+  }
+
+  try {
+    const { canned, status, error } = await loadCannedResponse(req.user.id, id);
+    if (error) return res.status(status).json({ error });
+
+    const { error: deleteError } = await supabaseAdmin
+      .from("chat_canned_responses")
+      .delete()
+      .eq("id", canned.id);
+    if (deleteError) throw deleteError;
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[DELETE /canned-responses/:id] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Carrega a campanha (com inbox) e valida acesso do usuário à organização.
+ * @returns {Promise<{ campaign?: object, status?: number, error?: string }>}
+ */
+async function loadCampaign(userId, campaignId) {
+  const { data: campaign } = await supabaseAdmin
+    .from("chat_campaigns")
+    .select("*, inbox:chat_inboxes(id, organization_id, name)")
+    .eq("id", campaignId)
+    .maybeSingle();
+  if (!campaign) {
+    return { status: 404, error: "Campanha não encontrada" };
+  }
+  const hasAccess = await validateOrganizationAccess(userId, campaign.organization_id);
+  if (!hasAccess) {
+    return { status: 403, error: "Sem acesso à organização" };
+  }
+  return { campaign };
+}
+
+// --- POST /inboxes/:inboxId/campaigns/preview - Prévia dos destinatários ---
+// Body: audience ({ labels?, contact_type?, contact_ids? }) e message_template (opcional).
+app.post("/inboxes/:inboxId/campaigns/preview", authMiddleware, async (req, res) => {
+  const { inboxId } = req.params;
+  const { audience: audienceInput, message_template } = req.body || {};
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  const { audience, error: audienceError } = parseAudience(audienceInput);
+  if (audienceError) return res.status(400).json({ error: audienceError });
+
+  const { data: inbox } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("id, organization_id, name")
+    .eq("id", inboxId)
+    .single();
+  if (!inbox) {
+    return res.status(404).json({ error: "Inbox not found" });
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+
+  try {
+    const contacts = await resolveAudience(inbox.id, audience);
+    return res.json({
+      total: contacts.length,
+      recipients: contacts.slice(0, 20).map((c) => ({
+        contact_id: c.id,
+        name: c.name,
+        remote_jid: c.remote_jid,
+        contact_type: c.contact_type,
+        ...(typeof message_template === "string" && {
+          preview: renderTemplate(message_template, templateVars({ contact: c, inbox })),
+        }),
+      })),
+    });
+  } catch (err) {
+    console.error("[POST /inboxes/:inboxId/campaigns/preview] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- POST /inboxes/:inboxId/campaigns - Criar campanha (rascunho) ---
+// Body: name, message_template (placeholders {{contact.name}}, {{contact.phone}}, {{inbox.name}}),
+// audience e send_interval_seconds (opcional, mínimo 2).
+app.post("/inboxes/:inboxId/campaigns", authMiddleware, async (req, res) => {
+  const { inboxId } = req.params;
+  const { name, message_template, audience: audienceInput, send_interval_seconds } = req.body || {};
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+  if (!name || typeof message_template !== "string" || !message_template.trim()) {
+    return res.status(400).json({ error: "Body must include name and message_template" });
+  }
+  const { audience, error: audienceError } = parseAudience(audienceInput);
+  if (audienceError) return res.status(400).json({ error: audienceError });
+  const interval = send_interval_seconds == null
+    ? DEFAULT_SEND_INTERVAL_SECONDS
+    : parseInt(send_interval_seconds, 10);
+  if (!Number.isFinite(interval) || interval < MIN_SEND_INTERVAL_SECONDS) {
+    return res.status(400).json({
+      error: `send_interval_seconds must be at least ${MIN_SEND_INTERVAL_SECONDS}`,
+    });
+  }
+
+  const { data: inbox } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("id, organization_id")
+    .eq("id", inboxId)
+    .single();
+  if (!inbox) {
+    return res.status(404).json({ error: "Inbox not found" });
+  }
+  const hasAccess = await validateOrganizationAccess(req.user.id, inbox.organization_id);
+  if (!hasAccess) {
+    return res.status(403).json({ error: "Sem acesso à organização" });
+  }
+
+  try {
+    const { data: campaign, error } = await supabaseAdmin
+      .from("chat_campaigns")
+      .insert({
+        organization_id: inbox.organization_id,
+        inbox_id: inbox.id,
+        name,
+        message_template: message_template.trim(),
+        audience,
+        send_interval_seconds: interval,
+        status: "draft",
+        created_by: req.user.id,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return res.status(201).json(campaign);
+  } catch (err) {
+    console.error("[POST /inboxes/:inboxId/campaigns] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /inboxes/:inboxId/campaigns - Listar campanhas ---
+app.get("/inboxes/:inboxId/campaigns", authMiddleware, async (req, res) => {
+  const { inboxId } = req.params;
+  if (!isValidUUID(inboxId)) {
+    return res.status(400).json({ error: "Invalid inbox ID format" });
+  }
+
+  const supabase = supabaseFromReq(req);
+  if (!supabase) {
+    return res.status(503).json({ error: "Database not configured" });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("chat_campaigns")
+      .select("*")
+      .eq("inbox_id", inboxId)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return res.json({ campaigns: data || [] });
+  } catch (err) {
+    console.error("[GET /inboxes/:inboxId/campaigns] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /campaigns/:campaignId - Detalhes e resumo de entrega ---
+app.get("/campaigns/:campaignId", authMiddleware, async (req, res) => {
+  const { campaignId } = req.params;
+  if (!isValidUUID(campaignId)) {
+    return res.status(400).json({ error: "Invalid campaign ID format" });
+  }
+
+  try {
+    const { campaign, status, error } = await loadCampaign(req.user.id, campaignId);
+    if (error) return res.status(status).json({ error });
+    const stats = await campaignStats(campaign.id);
+    return res.json({ ...campaign, stats });
+  } catch (err) {
+    console.error("[GET /campaigns/:campaignId] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- GET /campaigns/:campaignId/recipients - Resultado por destinatário ---
+// Query: limit (máx. 100), offset.
+app.get("/campaigns/:campaignId/recipients", authMiddleware, async (req, res) => {
+  const { campaignId } = req.params;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 50, 1),
+    100
+  );
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  if (!isValidUUID(campaignId)) {
+    return res.status(400).json({ error: "Invalid campaign ID format" });
+  }
+
+  try {
+    const { campaign, status, error } = await loadCampaign(req.user.id, campaignId);
+    if (error) return res.status(status).json({ error });
+
+    const { data, error: listError } = await supabaseAdmin
+      .from("chat_campaign_recipients")
+      .select(
+        `
+        id,
+        status,
+        error,
+        sent_at,
+        conversation_id,
+        message_id,
+        contact:chat_contacts(id, name, remote_jid),
+        message:chat_messages(status, evolution_message_id)
+      `
+      )
+      .eq("campaign_id", campaign.id)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + limit);
+    if (listError) throw listError;
+
+    const hasMore = (data || []).length > limit;
+    const recipients = (hasMore ? data.slice(0, limit) : data || []).map((r) => ({
+      ...r,
+      status: recipientDeliveryStatus(r),
+    }));
+    return res.json({ recipients, has_more: hasMore, next_offset: hasMore ? offset + limit : null });
+  } catch (err) {
+    console.error("[GET /campaigns/:campaignId/recipients] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// --- POST /campaigns/:campaignId/start - Iniciar envio ---
+app.post("/campaigns/:campaignId/start", authMiddleware, async (req, res) => {
+  const { campaignId } = req.params;
+  if (!isValidUUID(campaignId)) {
+    return res.status(400).json({ error: "Invalid campaign ID format" });
+  }
+
+  try {
+    const { campaign, status, error } = await loadCampaign(req.user.id, campaignId);
+    if (error) return res.status(status).json({ error });
+    if (campaign.status !== "draft") {
+      return res.status(409).json({ error: "Apenas campanhas em rascunho podem ser iniciadas" });
+    }
+
+    const result = await startCampaign(campaign, campaign.inbox);
+    if (result.error) return res.status(409).json({ error: result.error });
+    return res.json({ success: true, status: "running", total_recipients: result.total });
+  } catch (err) {
+    console.error("[POST /campaigns/:campaignId/start] Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Transições manuais de status: pause (running → paused), resume (paused → running), cancel.
+const CAMPAIGN_TRANSITIONS = {
+  pause: { from: ["running"], to: "paused" },
+  resume: { from: ["paused"], to: "running" },
+  cancel: { from: ["draft", "running", "paused"], to: "cancelled" },
+};
+
+// --- POST /campaigns/:campaignId/(pause|resume|cancel) ---
+// Cancelar não desfaz mensagens já enfileiradas; os destinatários pendentes ficam "skipped".
+app.post("/campaigns/:campaignId/:action(pause|resume|cancel)", authMiddleware, async (req, res) => {
+  const { campaignId, action } = req.params;
+  if (!isValidUUID(campaignId)) {
+    return res.status(400).json({ error: "Invalid campaign ID format" });
+  }
+  const transition = CAMPAIGN_TRANSITIONS[action];
+
+  try {
+    const { campaign, status, error } = await loadCampaign(req.user.id, campaignId);
+    if (error) return res.status(status).json({ error });
+
+    const now = new Date().toISOString();
+    const updates = { status: transition.to, updated_at: now };
+    if (action === "resume") updates.next_send_at = now;
+    if (action === "cancel") updates.completed_at = now;
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("chat_campaigns")
+      .update(updates)
+      .eq("id", campaign.id)
+      .in("status", transition.from)
+      .select()
+      .maybeSingle();
+    if (updateError) throw updateError;
+    if (!updated) {
+      return res.status(409).json({ error: `Campanha com status "${campaign.status}" não permite ${action}` });
+    }
+
+    if (action === "cancel") {
+      await supabaseAdmin
+        .from("chat_campaign_recipients")
+        .update({ status: "skipped" })
+        .eq("campaign_id", campaign.id)
+        .eq("status", "pending");
+    }
+    return res.json(updated);
+  } catch (err) {
+    console.error(`[POST /campaigns/:campaignId/${action}] Error:`, err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 // --- PATCH /conversations/:conversationId (labels, is_archived, is_pinned) ---
 app.patch("/conversations/:conversationId", authMiddleware, async (req, res) => {
   const { conversationId } = req.params;
@@ -1124,4 +2928,11 @@ app.patch("/conversations/:conversationId", authMiddleware, async (req, res) =>
 
 app.listen(PORT, () => {
   console.log(`[flunx-channels-api] Rodando na porta ${PORT}`);
+  startOutboundWorker();
+  startScheduler();
+  startCampaignWorker();
+  recoverInterruptedSyncJobs();
+  recoverInterruptedExportJobs();
+  startAvatarRefresher();
+  startConnectionMonitor();
 });
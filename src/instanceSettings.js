@@ -0,0 +1,81 @@
+/**
+ * Settings da instância por canal (rejeitar chamadas, ignorar grupos, etc.).
+ * A API usa snake_case e grava em chat_inboxes.instance_settings; a Evolution usa os nomes da v2
+ * (/settings/set). Os settings gravados são reaplicados quando o canal ganha instância nova (reconnect).
+ */
+
+import { DEFAULT_INSTANCE_SETTINGS, setInstanceSettings } from "./evolution.js";
+
+const CALL_MESSAGE_MAX_LENGTH = 500;
+
+/** Campo da API → campo da Evolution. */
+const FIELDS = {
+  reject_calls: { evolution: "rejectCall", type: "boolean" },
+  call_rejection_message: { evolution: "msgCall", type: "string" },
+  ignore_groups: { evolution: "groupsIgnore", type: "boolean" },
+  always_online: { evolution: "alwaysOnline", type: "boolean" },
+  read_messages: { evolution: "readMessages", type: "boolean" },
+  read_status: { evolution: "readStatus", type: "boolean" },
+  sync_full_history: { evolution: "syncFullHistory", type: "boolean" },
+};
+
+/** Converte settings da Evolution para o formato da API (campos ausentes usam o padrão). */
+export function fromEvolutionSettings(evolutionSettings) {
+  const settings = {};
+  for (const [field, { evolution, type }] of Object.entries(FIELDS)) {
+    const value = evolutionSettings?.[evolution] ?? DEFAULT_INSTANCE_SETTINGS[evolution];
+    settings[field] = type === "boolean" ? Boolean(value) : String(value ?? "");
+  }
+  return settings;
+}
+
+export function toEvolutionSettings(settings) {
+  const evolutionSettings = {};
+  for (const [field, { evolution }] of Object.entries(FIELDS)) {
+    if (settings?.[field] !== undefined) evolutionSettings[evolution] = settings[field];
+  }
+  return evolutionSettings;
+}
+
+/** Settings gravados na inbox completados com o padrão. */
+export function storedInstanceSettings(inbox) {
+  return { ...fromEvolutionSettings(DEFAULT_INSTANCE_SETTINGS), ...(inbox?.instance_settings || {}) };
+}
+
+/**
+ * Valida alterações parciais (body do PUT /channels/:id/settings).
+ * @returns {{ changes?: object, error?: string }}
+ */
+export function validateInstanceSettings(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Body must be a JSON object" };
+  }
+  const changes = {};
+  for (const [field, value] of Object.entries(body)) {
+    const spec = FIELDS[field];
+    if (!spec) return { error: `Unknown setting: ${field}` };
+    if (spec.type === "boolean" && typeof value !== "boolean") {
+      return { error: `${field} must be a boolean` };
+    }
+    if (spec.type === "string") {
+      if (typeof value !== "string") return { error: `${field} must be a string` };
+      if (value.length > CALL_MESSAGE_MAX_LENGTH) {
+        return { error: `${field} must be at most ${CALL_MESSAGE_MAX_LENGTH} characters` };
+      }
+    }
+    changes[field] = spec.type === "string" ? value.trim() : value;
+  }
+  if (Object.keys(changes).length === 0) {
+    return { error: `Body must include at least one of: ${Object.keys(FIELDS).join(", ")}` };
+  }
+  return { changes };
+}
+
+/**
+ * Aplica na instância os settings gravados na inbox (instância nova após reconnect).
+ * @param {object} inbox - { instance_settings }
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export function applyStoredInstanceSettings(instanceName, inbox) {
+  return setInstanceSettings(instanceName, toEvolutionSettings(storedInstanceSettings(inbox)));
+}
@@ -0,0 +1,187 @@
+/**
+ * Armazenamento de mídia das mensagens (importada no sync).
+ * MEDIA_STORAGE_DRIVER: "supabase" (default; bucket MEDIA_STORAGE_BUCKET) ou "local" (disco em
+ * MEDIA_LOCAL_DIR, para desenvolvimento; servido por GET /media/local/* com URL assinada por HMAC).
+ * O caminho gravado em chat_messages.media_storage_path é relativo ao bucket/diretório.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { createReadStream } from "fs";
+import { copyFile, mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { supabaseAdmin } from "./supabase.js";
+
+const DRIVER = process.env.MEDIA_STORAGE_DRIVER === "local" ? "local" : "supabase";
+const BUCKET = process.env.MEDIA_STORAGE_BUCKET || "chat-media";
+const LOCAL_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || "./media");
+// Sem segredo configurado, URLs locais valem só enquanto o processo estiver de pé
+const LOCAL_SIGNING_SECRET = process.env.MEDIA_LOCAL_SIGNING_SECRET || randomBytes(32).toString("hex");
+
+export const LOCAL_MEDIA_ROUTE = "/media/local";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "video/mp4": "mp4",
+  "video/3gpp": "3gp",
+  "audio/ogg": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/aac": "aac",
+  "application/pdf": "pdf",
+};
+
+/** Extensão do arquivo a partir do nome original ou do mimetype. */
+export function mediaExtension(mimetype, fileName) {
+  const fromName = fileName && path.extname(fileName).slice(1).toLowerCase();
+  if (fromName && /^[a-z0-9]{1,8}$/.test(fromName)) return fromName;
+  const base = String(mimetype || "").split(";")[0].trim().toLowerCase();
+  return EXTENSIONS[base] || "bin";
+}
+
+/** Resolve caminho local garantindo que fica dentro de MEDIA_LOCAL_DIR. */
+function localFilePath(storagePath) {
+  const fullPath = path.resolve(LOCAL_DIR, storagePath);
+  if (!fullPath.startsWith(LOCAL_DIR + path.sep)) throw new Error("Invalid storage path");
+  return fullPath;
+}
+
+function signLocal(storagePath, expires) {
+  return createHmac("sha256", LOCAL_SIGNING_SECRET).update(`${storagePath}:${expires}`).digest("hex");
+}
+
+/**
+ * Grava o arquivo no storage configurado.
+ * @param {string} storagePath - Ex.: {organization_id}/{inbox_id}/{conversation_id}/{id}.jpg
+ * @param {Buffer} buffer
+ * @param {string} [mimetype]
+ * @returns {Promise<{ success: boolean, path?: string, error?: string }>}
+ */
+export async function saveMedia(storagePath, buffer, mimetype) {
+  try {
+    if (DRIVER === "local") {
+      const fullPath = localFilePath(storagePath);
+      await mkdir(path.dirname(fullPath), { recursive: true });
+      await writeFile(fullPath, buffer);
+      return { success: true, path: storagePath };
+    }
+    if (!supabaseAdmin) return { success: false, error: "Supabase not configured" };
+    const { error } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .upload(storagePath, buffer, { contentType: mimetype || "application/octet-stream", upsert: true });
+    if (error) return { success: false, error: error.message };
+    return { success: true, path: storagePath };
+  } catch (e) {
+    return { success: false, error: e.message || "Media upload failed" };
+  }
+}
+
+/**
+ * Grava no storage um arquivo já em disco, sem carregá-lo inteiro em memória (ex.: exportações).
+ * @returns {Promise<{ success: boolean, path?: string, error?: string }>}
+ */
+export async function saveMediaFile(storagePath, filePath, mimetype) {
+  try {
+    if (DRIVER === "local") {
+      const fullPath = localFilePath(storagePath);
+      await mkdir(path.dirname(fullPath), { recursive: true });
+      await copyFile(filePath, fullPath);
+      return { success: true, path: storagePath };
+    }
+    if (!supabaseAdmin) return { success: false, error: "Supabase not configured" };
+    const { error } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .upload(storagePath, createReadStream(filePath), {
+        contentType: mimetype || "application/octet-stream",
+        upsert: true,
+        duplex: "half",
+      });
+    if (error) return { success: false, error: error.message };
+    return { success: true, path: storagePath };
+  } catch (e) {
+    return { success: false, error: e.message || "Media upload failed" };
+  }
+}
+
+/**
+ * Lê o arquivo do storage configurado (ex.: mídia enviada por agente, na hora de mandar para a Evolution).
+ * @returns {Promise<{ success: boolean, buffer?: Buffer, error?: string }>}
+ */
+export async function readMedia(storagePath) {
+  try {
+    if (DRIVER === "local") return { success: true, buffer: await readFile(localFilePath(storagePath)) };
+    if (!supabaseAdmin) return { success: false, error: "Supabase not configured" };
+    const { data, error } = await supabaseAdmin.storage.from(BUCKET).download(storagePath);
+    if (error) return { success: false, error: error.message };
+    return { success: true, buffer: Buffer.from(await data.arrayBuffer()) };
+  } catch (e) {
+    return { success: false, error: e.message || "Media download failed" };
+  }
+}
+
+/**
+ * URL temporária para o arquivo. No driver local a URL é relativa (GET /media/local/...).
+ * @param {string} [downloadName] - Nome sugerido para download (só no Supabase Storage)
+ * @returns {Promise<{ success: boolean, url?: string, error?: string }>}
+ */
+export async function getSignedMediaUrl(storagePath, expiresInSeconds, downloadName) {
+  if (DRIVER === "local") {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const encodedPath = storagePath.split("/").map(encodeURIComponent).join("/");
+    return {
+      success: true,
+      url: `${LOCAL_MEDIA_ROUTE}/${encodedPath}?expires=${expires}&signature=${signLocal(storagePath, expires)}`,
+    };
+  }
+  if (!supabaseAdmin) return { success: false, error: "Supabase not configured" };
+  const { data, error } = await supabaseAdmin.storage
+    .from(BUCKET)
+    .createSignedUrl(storagePath, expiresInSeconds, downloadName ? { download: downloadName } : undefined);
+  if (error || !data?.signedUrl) return { success: false, error: error?.message || "Signed URL failed" };
+  return { success: true, url: data.signedUrl };
+}
+
+/**
+ * URLs temporárias para vários arquivos (uma chamada ao Storage).
+ * @returns {Promise<Map<string, string>>} caminho → URL (caminhos com erro ficam de fora)
+ */
+export async function getSignedMediaUrls(storagePaths, expiresInSeconds) {
+  const urls = new Map();
+  const unique = [...new Set(storagePaths.filter(Boolean))];
+  if (unique.length === 0) return urls;
+  if (DRIVER === "local") {
+    for (const storagePath of unique) {
+      const signed = await getSignedMediaUrl(storagePath, expiresInSeconds);
+      urls.set(storagePath, signed.url);
+    }
+    return urls;
+  }
+  if (!supabaseAdmin) return urls;
+  const { data, error } = await supabaseAdmin.storage
+    .from(BUCKET)
+    .createSignedUrls(unique, expiresInSeconds);
+  if (error) return urls;
+  for (const item of data || []) {
+    if (item.signedUrl && !item.error) urls.set(item.path, item.signedUrl);
+  }
+  return urls;
+}
+
+/**
+ * Lê um arquivo do driver local validando a assinatura da URL.
+ * @returns {Promise<Buffer|null>} null se a assinatura for inválida/expirada ou o arquivo não existir
+ */
+export async function readLocalMedia(storagePath, expires, signature) {
+  if (DRIVER !== "local") return null;
+  if (!Number(expires) || Number(expires) < Date.now() / 1000) return null;
+  const expected = Buffer.from(signLocal(storagePath, expires));
+  const received = Buffer.from(String(signature || ""));
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) return null;
+  try {
+    return await readFile(localFilePath(storagePath));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Payload estruturado das mensagens Evolution (gravado em chat_messages.payload, ao lado de content).
+ * content continua sendo o texto de exibição (extractMessageContent); o payload guarda os dados que o
+ * texto perde: coordenadas, vCards, opções de enquete, botão/lista escolhidos, metadados de mídia.
+ * Texto simples sem wrapper não tem payload (null).
+ */
+
+import { unwrapMessage } from "./utils.js";
+
+const toNumber = (value) => {
+  if (value == null) return null;
+  const n = Number(value?.low ?? value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/** Telefones (waid ou TEL) de um vCard. */
+function vcardPhones(vcard) {
+  const phones = [];
+  for (const line of String(vcard || "").split(/\r?\n/)) {
+    if (!/^(item\d+\.)?TEL/i.test(line)) continue;
+    const waid = line.match(/waid=(\d+)/i)?.[1];
+    const number = line.slice(line.lastIndexOf(":") + 1).trim();
+    phones.push({ number, wa_id: waid ?? null });
+  }
+  return phones;
+}
+
+function parseContact(contact) {
+  return {
+    display_name: contact?.displayName ?? null,
+    vcard: contact?.vcard ?? null,
+    phones: vcardPhones(contact?.vcard),
+  };
+}
+
+function parseMedia(type, media) {
+  return {
+    type,
+    mimetype: media.mimetype ?? null,
+    file_name: media.fileName ?? null,
+    caption: media.caption ?? null,
+    size: toNumber(media.fileLength),
+    duration: toNumber(media.seconds),
+    ...(type === "audio" && { ptt: Boolean(media.ptt) }),
+    ...(type === "document" && { page_count: toNumber(media.pageCount), title: media.title ?? null }),
+    ...((type === "image" || type === "video" || type === "sticker") && {
+      width: toNumber(media.width),
+      height: toNumber(media.height),
+    }),
+    ...(type === "sticker" && { animated: Boolean(media.isAnimated) }),
+  };
+}
+
+/** Payload por tipo de mensagem (já sem wrappers); null para tipos sem dados extras. */
+function parseContent(message) {
+  if (message.conversation != null || message.extendedTextMessage) {
+    const ext = message.extendedTextMessage;
+    if (ext?.matchedText) {
+      return {
+        type: "text",
+        link_preview: {
+          url: ext.matchedText,
+          title: ext.title ?? null,
+          description: ext.description ?? null,
+        },
+      };
+    }
+    return { type: "text" };
+  }
+  if (message.imageMessage) return parseMedia("image", message.imageMessage);
+  if (message.videoMessage) {
+    return { ...parseMedia("video", message.videoMessage), gif: Boolean(message.videoMessage.gifPlayback) };
+  }
+  if (message.audioMessage) return parseMedia("audio", message.audioMessage);
+  if (message.documentMessage) return parseMedia("document", message.documentMessage);
+  if (message.stickerMessage) return parseMedia("sticker", message.stickerMessage);
+
+  if (message.locationMessage) {
+    const loc = message.locationMessage;
+    return {
+      type: "location",
+      latitude: toNumber(loc.degreesLatitude),
+      longitude: toNumber(loc.degreesLongitude),
+      name: loc.name ?? null,
+      address: loc.address ?? null,
+      url: loc.url ?? null,
+    };
+  }
+  if (message.liveLocationMessage) {
+    const loc = message.liveLocationMessage;
+    return {
+      type: "live_location",
+      latitude: toNumber(loc.degreesLatitude),
+      longitude: toNumber(loc.degreesLongitude),
+      accuracy_meters: toNumber(loc.accuracyInMeters),
+      speed: toNumber(loc.speedInMps),
+      caption: loc.caption ?? null,
+      sequence: toNumber(loc.sequenceNumber),
+    };
+  }
+
+  if (message.contactMessage) {
+    return { type: "contact", contacts: [parseContact(message.contactMessage)] };
+  }
+  if (message.contactsArrayMessage) {
+    return {
+      type: "contact",
+      display_name: message.contactsArrayMessage.displayName ?? null,
+      contacts: (message.contactsArrayMessage.contacts || []).map(parseContact),
+    };
+  }
+
+  const poll =
+    message.pollCreationMessage ?? message.pollCreationMessageV2 ?? message.pollCreationMessageV3;
+  if (poll) {
+    return {
+      type: "poll",
+      name: poll.name ?? null,
+      options: (poll.options || []).map((o) => o.optionName),
+      selectable_count: toNumber(poll.selectableOptionsCount),
+    };
+  }
+  if (message.pollUpdateMessage) {
+    // Votos chegam criptografados; guarda só a referência à enquete
+    return { type: "poll_vote", poll_message_id: message.pollUpdateMessage.pollCreationMessageKey?.id ?? null };
+  }
+
+  if (message.reactionMessage) {
+    return {
+      type: "reaction",
+      target_message_id: message.reactionMessage.key?.id ?? null,
+      emoji: message.reactionMessage.text ?? "",
+    };
+  }
+
+  if (message.buttonsResponseMessage) {
+    return {
+      type: "buttons_response",
+      selected_id: message.buttonsResponseMessage.selectedButtonId ?? null,
+      selected_text: message.buttonsResponseMessage.selectedDisplayText ?? null,
+    };
+  }
+  if (message.templateButtonReplyMessage) {
+    return {
+      type: "buttons_response",
+      selected_id: message.templateButtonReplyMessage.selectedId ?? null,
+      selected_text: message.templateButtonReplyMessage.selectedDisplayText ?? null,
+    };
+  }
+  if (message.listResponseMessage) {
+    const reply = message.listResponseMessage;
+    return {
+      type: "list_response",
+      selected_id: reply.singleSelectReply?.selectedRowId ?? null,
+      title: reply.title ?? null,
+      description: reply.description ?? null,
+    };
+  }
+  if (message.interactiveResponseMessage) {
+    const flow = message.interactiveResponseMessage.nativeFlowResponseMessage;
+    let params = null;
+    try {
+      params = flow?.paramsJson ? JSON.parse(flow.paramsJson) : null;
+    } catch {
+      params = flow.paramsJson;
+    }
+    return {
+      type: "interactive_response",
+      text: message.interactiveResponseMessage.body?.text ?? null,
+      name: flow?.name ?? null,
+      params,
+    };
+  }
+  if (message.buttonsMessage) {
+    return {
+      type: "buttons",
+      text: message.buttonsMessage.contentText ?? null,
+      footer: message.buttonsMessage.footerText ?? null,
+      buttons: (message.buttonsMessage.buttons || []).map((b) => ({
+        id: b.buttonId ?? null,
+        text: b.buttonText?.displayText ?? null,
+      })),
+    };
+  }
+  if (message.listMessage) {
+    return {
+      type: "list",
+      title: message.listMessage.title ?? null,
+      description: message.listMessage.description ?? null,
+      button_text: message.listMessage.buttonText ?? null,
+      sections: (message.listMessage.sections || []).map((section) => ({
+        title: section.title ?? null,
+        rows: (section.rows || []).map((row) => ({
+          id: row.rowId ?? null,
+          title: row.title ?? null,
+          description: row.description ?? null,
+        })),
+      })),
+    };
+  }
+  return null;
+}
+
+/**
+ * Payload estruturado de uma mensagem Evolution.
+ * @returns {object|null} { type, ...campos do tipo, ephemeral?, view_once? }
+ */
+export function parseMessagePayload(msg) {
+  const { message, ephemeral, viewOnce } = unwrapMessage(msg);
+  if (!message || typeof message !== "object") return null;
+  const payload = parseContent(message);
+  if (!payload) return null;
+  if (ephemeral) payload.ephemeral = true;
+  if (viewOnce) payload.view_once = true;
+  // Texto simples: content já basta
+  if (payload.type === "text" && Object.keys(payload).length === 1) return null;
+  return payload;
+}
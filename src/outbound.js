@@ -0,0 +1,383 @@
+/**
+ * Fila persistente de envio (tabela chat_outbound_queue).
+ * Cada mensagem "outgoing" vira um job; o worker envia via Evolution com retry exponencial
+ * e respeita um intervalo mínimo entre envios por evolution_instance_name (evitar ban no WhatsApp).
+ * Status da mensagem em chat_messages: queued → sent, ou failed após esgotar as tentativas.
+ * Só é reenviado o que com certeza não saiu (429/5xx ou falha de conexão); envio sem resposta (timeout,
+ * restart no meio do envio) vira failed para reenvio manual, para não duplicar a mensagem no WhatsApp.
+ */
+
+import { sendText, sendMedia, sendAudio } from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+import { readMedia } from "./mediaStorage.js";
+import { jidToNumber, buildQuotedPayload, captionFromPlaceholder } from "./utils.js";
+
+const POLL_INTERVAL_MS = 2 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5 * 1000;
+const MIN_INTERVAL_PER_INSTANCE_MS =
+  parseInt(process.env.OUTBOUND_MIN_INTERVAL_MS, 10) || 1500;
+
+/** Último envio por instância (rate limit em memória; serviço roda com 1 réplica). */
+const lastSentAt = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Coloca uma mensagem (já inserida em chat_messages) na fila de envio.
+ * @param {string} messageId - id em chat_messages
+ * @param {object} payload - { text, media?: { mediaType, storagePath | source, mimetype, fileName } };
+ *   storagePath = arquivo no storage de mídia (lido só no envio), source = URL
+ */
+export async function enqueueMessage(messageId, payload) {
+  const { error } = await supabaseAdmin.from("chat_outbound_queue").insert({
+    message_id: messageId,
+    payload,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+  });
+  if (error) throw error;
+}
+
+/**
+ * Cria a mensagem "outgoing" em chat_messages (status "queued"), coloca na fila e atualiza a conversa.
+ * @param {string} conversationId - id em chat_conversations
+ * @param {object} fields - Colunas extras de chat_messages (content, message_type, media_*, reply_to_message_id...)
+ * @param {object} payload - Payload do job (ver enqueueMessage)
+ * @returns {Promise<object>} Linha criada em chat_messages
+ */
+export async function queueOutgoingMessage(conversationId, fields, payload) {
+  const { data: message, error } = await supabaseAdmin
+    .from("chat_messages")
+    .insert({
+      conversation_id: conversationId,
+      direction: "outgoing",
+      message_type: "text",
+      status: "queued",
+      ...fields,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  try {
+    await enqueueMessage(message.id, payload);
+  } catch (queueError) {
+    await supabaseAdmin.from("chat_messages").update({ status: "failed" }).eq("id", message.id);
+    throw queueError;
+  }
+
+  await supabaseAdmin
+    .from("chat_conversations")
+    .update({ updated_at: new Date().toISOString() })
+    .eq("id", conversationId);
+  return message;
+}
+
+/**
+ * Reenfileira uma mensagem com status "failed" (zera as tentativas).
+ * Sem job (ex.: falhou antes da fila existir), recria a partir da mensagem: texto, ou mídia pelo
+ * media_storage_path / media_url. Mídia sem nenhum dos dois não é recuperável.
+ * @param {object} message - Linha de chat_messages
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function retryMessage(message) {
+  const { data: job } = await supabaseAdmin
+    .from("chat_outbound_queue")
+    .select("id")
+    .eq("message_id", message.id)
+    .maybeSingle();
+
+  if (job) {
+    const { error } = await supabaseAdmin
+      .from("chat_outbound_queue")
+      .update({
+        status: "pending",
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: new Date().toISOString(),
+      })
+      .eq("id", job.id);
+    if (error) throw error;
+  } else if (message.message_type === "text") {
+    await enqueueMessage(message.id, { text: message.content });
+  } else {
+    if (!message.media_storage_path && !message.media_url) {
+      return { success: false, error: "Mídia não está mais disponível para reenvio" };
+    }
+    await enqueueMessage(message.id, {
+      text: captionFromPlaceholder(message.message_type, message.content, message.media_file_name) ?? "",
+      media: {
+        mediaType: message.message_type,
+        ...(message.media_storage_path
+          ? { storagePath: message.media_storage_path }
+          : { source: message.media_url }),
+        mimetype: message.media_mimetype,
+        fileName: message.media_file_name,
+      },
+    });
+  }
+
+  const { error: messageError } = await supabaseAdmin
+    .from("chat_messages")
+    .update({ status: "queued" })
+    .eq("id", message.id);
+  if (messageError) throw messageError;
+  return { success: true };
+}
+
+/** Envia o payload do job para a Evolution (texto, áudio ou mídia). */
+async function deliver(instanceName, remoteJid, payload, quoted) {
+  const number = jidToNumber(remoteJid);
+  const media = payload?.media;
+  if (!media) {
+    return sendText(instanceName, number, payload?.text ?? "", { quoted });
+  }
+  let source = media.source;
+  if (media.storagePath) {
+    const file = await readMedia(media.storagePath);
+    if (!file.success) return { success: false, error: `Mídia: ${file.error}`, notSent: true };
+    source = file.buffer.toString("base64");
+  }
+  // Áudio vai como mensagem de voz; WhatsApp não exibe legenda em áudio
+  if (media.mediaType === "audio") {
+    return sendAudio(instanceName, number, source, { quoted });
+  }
+  return sendMedia(instanceName, number, {
+    mediatype: media.mediaType,
+    media: source,
+    mimetype: media.mimetype,
+    fileName: media.fileName,
+    caption: payload.text,
+  }, { quoted });
+}
+
+/**
+ * Erros 4xx (exceto 429) da Evolution não mudam com nova tentativa (ex.: número inválido).
+ * Sem status (timeout, conexão caiu) a mensagem pode ter saído: só reenvia se a requisição não chegou.
+ */
+function isRetryable(sendResult) {
+  const status = sendResult?.status;
+  if (!status) return Boolean(sendResult?.notSent);
+  return status === 429 || status >= 500;
+}
+
+const AMBIGUOUS_SEND_ERROR = "Sem resposta da Evolution; a mensagem pode ter sido enviada (reenviar manualmente)";
+
+/**
+ * Resolve instância e JID do job a partir da conversa da mensagem.
+ * @returns {Promise<{ message?: object, instanceName?: string, remoteJid?: string }>}
+ */
+async function resolveTarget(job) {
+  const { data: message } = await supabaseAdmin
+    .from("chat_messages")
+    .select(
+      `
+      id,
+      conversation_id,
+      reply_to_message_id,
+      conversation:chat_conversations(
+        id,
+        inbox:chat_inboxes(id, evolution_instance_name),
+        contact:chat_contacts(id, remote_jid)
+      )
+    `
+    )
+    .eq("id", job.message_id)
+    .maybeSingle();
+  return {
+    message,
+    instanceName: message?.conversation?.inbox?.evolution_instance_name,
+    remoteJid: message?.conversation?.contact?.remote_jid,
+  };
+}
+
+/** Job e mensagem como failed (sem novas tentativas automáticas). */
+async function markJobFailed(job, fields) {
+  const { error: jobError } = await supabaseAdmin
+    .from("chat_outbound_queue")
+    .update({ status: "failed", ...fields })
+    .eq("id", job.id);
+  if (jobError) throw jobError;
+  const { error: messageError } = await supabaseAdmin
+    .from("chat_messages")
+    .update({ status: "failed" })
+    .eq("id", job.message_id);
+  if (messageError) throw messageError;
+}
+
+/**
+ * Processa um job já reservado (status "processing").
+ * progress.delivering passa a true antes do envio: erro depois disso não pode devolver o job para a fila.
+ */
+async function processJob(job, target, progress) {
+  const { message, instanceName, remoteJid } = target;
+  let sendResult = { success: false, error: "Conversation or inbox not ready for sending", status: 400 };
+
+  if (message && instanceName && remoteJid) {
+    let quoted = null;
+    if (message.reply_to_message_id) {
+      const { data: quotedMsg } = await supabaseAdmin
+        .from("chat_messages")
+        .select("id, content, direction, evolution_message_id, participant_remote_jid")
+        .eq("id", message.reply_to_message_id)
+        .maybeSingle();
+      if (quotedMsg?.evolution_message_id) quoted = buildQuotedPayload(quotedMsg, remoteJid);
+    }
+    progress.delivering = true;
+    sendResult = await deliver(instanceName, remoteJid, job.payload, quoted);
+    lastSentAt.set(instanceName, Date.now());
+  }
+
+  // Qualquer 2xx conta como entregue, mesmo sem key.id (reenviar duplicaria a mensagem)
+  const evolutionMessageId = sendResult.data?.key?.id ?? null;
+  if (sendResult.success) {
+    const { error: messageError } = await supabaseAdmin
+      .from("chat_messages")
+      .update({ status: "sent", evolution_message_id: evolutionMessageId })
+      .eq("id", job.message_id);
+    if (messageError) throw messageError;
+    // Job concluído: remove da fila (a mensagem em chat_messages é o registro)
+    const { error: deleteError } = await supabaseAdmin.from("chat_outbound_queue").delete().eq("id", job.id);
+    if (deleteError) throw deleteError;
+    return;
+  }
+
+  const attempts = (job.attempts ?? 0) + 1;
+  const ambiguous = !sendResult.status && !sendResult.notSent;
+  const lastError = ambiguous ? `${AMBIGUOUS_SEND_ERROR}: ${sendResult.error}` : sendResult.error;
+  if (attempts >= MAX_ATTEMPTS || !isRetryable(sendResult)) {
+    console.warn("[outbound] Envio falhou definitivamente:", job.message_id, lastError);
+    await markJobFailed(job, { attempts, last_error: lastError });
+    return;
+  }
+
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+  const { error } = await supabaseAdmin
+    .from("chat_outbound_queue")
+    .update({
+      status: "pending",
+      attempts,
+      last_error: lastError,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    })
+    .eq("id", job.id);
+  if (error) throw error;
+}
+
+/** Envia, em sequência e com intervalo mínimo, os jobs de uma instância. */
+async function processInstanceJobs(instanceName, items) {
+  for (const { job, target } of items) {
+    const wait = (lastSentAt.get(instanceName) ?? 0) + MIN_INTERVAL_PER_INSTANCE_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from("chat_outbound_queue")
+      .update({ status: "processing" })
+      .eq("id", job.id)
+      .eq("status", "pending")
+      .select("id")
+      .maybeSingle();
+    if (claimError) {
+      console.error("[outbound] Erro ao reservar job:", job.id, claimError.message);
+      continue;
+    }
+    if (!claimed) continue;
+
+    const progress = { delivering: false };
+    try {
+      // Payload (pode ter mídia em base64) só é lido ao processar o job
+      const { data: row, error } = await supabaseAdmin
+        .from("chat_outbound_queue")
+        .select("payload")
+        .eq("id", job.id)
+        .single();
+      if (error) throw error;
+      await processJob({ ...job, payload: row.payload }, target, progress);
+    } catch (err) {
+      console.error("[outbound] Erro no job:", job.id, err);
+      try {
+        // Depois do envio a mensagem pode ter saído: failed para reenvio manual, nunca de volta à fila
+        if (progress.delivering) {
+          await markJobFailed(job, { last_error: AMBIGUOUS_SEND_ERROR });
+        } else {
+          const { error } = await supabaseAdmin
+            .from("chat_outbound_queue")
+            .update({ status: "pending" })
+            .eq("id", job.id);
+          if (error) throw error;
+        }
+      } catch (releaseError) {
+        // Job fica em "processing"; o próximo start o marca como failed
+        console.error("[outbound] Erro ao liberar job:", job.id, releaseError);
+      }
+    }
+  }
+}
+
+/** Busca jobs vencidos e processa por instância (instâncias em paralelo). */
+async function processDueJobs() {
+  const { data: jobs, error } = await supabaseAdmin
+    .from("chat_outbound_queue")
+    .select("id, message_id, attempts")
+    .eq("status", "pending")
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+  if (!jobs?.length) return;
+
+  const byInstance = new Map();
+  for (const job of jobs) {
+    const target = await resolveTarget(job);
+    const key = target.instanceName ?? "";
+    if (!byInstance.has(key)) byInstance.set(key, []);
+    byInstance.get(key).push({ job, target });
+  }
+  await Promise.all(
+    [...byInstance.entries()].map(([instanceName, items]) =>
+      processInstanceJobs(instanceName, items)
+    )
+  );
+}
+
+/** Inicia o worker da fila (no-op sem Supabase configurado). */
+export async function startOutboundWorker() {
+  if (!supabaseAdmin) {
+    console.warn("[outbound] Supabase não configurado; fila de envio desativada.");
+    return;
+  }
+  // Jobs que ficaram em "processing" (restart no meio do envio) podem ter sido enviados: viram failed
+  // para reenvio manual em vez de voltar para a fila
+  const { data: interrupted, error } = await supabaseAdmin
+    .from("chat_outbound_queue")
+    .update({ status: "failed", last_error: AMBIGUOUS_SEND_ERROR })
+    .eq("status", "processing")
+    .select("message_id");
+  if (error) console.error("[outbound] Erro ao recuperar jobs:", error.message);
+  const interruptedIds = (interrupted || []).map((job) => job.message_id);
+  if (interruptedIds.length > 0) {
+    const { error: messagesError } = await supabaseAdmin
+      .from("chat_messages")
+      .update({ status: "failed" })
+      .in("id", interruptedIds);
+    if (messagesError) console.error("[outbound] Erro ao marcar mensagens interrompidas:", messagesError.message);
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueJobs();
+    } catch (err) {
+      console.error("[outbound] Erro:", err);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+}
@@ -0,0 +1,34 @@
+/**
+ * Reações por mensagem (tabela chat_message_reactions), usadas pela rota de reações e pelo sync.
+ */
+
+import { supabaseAdmin } from "./supabase.js";
+
+/** reactor_jid das reações feitas pela própria instância (agentes). */
+export const OWN_REACTOR_JID = "me";
+
+/**
+ * Grava a reação de um reator sobre uma mensagem (uma por reator, como no WhatsApp).
+ * Emoji vazio remove a reação.
+ */
+export async function saveReaction(messageId, reactorJid, fromMe, emoji) {
+  if (!emoji) {
+    return supabaseAdmin
+      .from("chat_message_reactions")
+      .delete()
+      .eq("message_id", messageId)
+      .eq("reactor_jid", reactorJid);
+  }
+  return supabaseAdmin
+    .from("chat_message_reactions")
+    .upsert(
+      {
+        message_id: messageId,
+        reactor_jid: reactorJid,
+        from_me: fromMe,
+        emoji,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "message_id,reactor_jid" }
+    );
+}
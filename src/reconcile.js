@@ -0,0 +1,150 @@
+/**
+ * Reconciliação da inbox com o WhatsApp: contatos, grupos e chats que sumiram da Evolution
+ * (contato apagado, grupo que o número saiu, chat limpo no celular) são marcados, nunca apagados.
+ * - chat_contacts.whatsapp_status: "active" | "stale" (contato fora de findContacts e findChats) |
+ *   "left" (grupo fora de fetchAllGroups); whatsapp_missing_since marca desde quando.
+ * - chat_conversations.chat_missing_at: chat fora de findChats.
+ * Quem reaparece volta para "active" / null. Mensagens não são tocadas.
+ */
+
+import { findContacts, fetchAllGroups } from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+import { fetchChatsSince, chatRemoteJid } from "./sync.js";
+
+const PAGE_SIZE = 1000;
+const UPDATE_CHUNK_SIZE = 500;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/** Lê todas as linhas da inbox em páginas (ordem por id). */
+async function loadAll(table, fields, inboxId) {
+  const rows = [];
+  let lastId = null;
+  for (;;) {
+    let query = supabaseAdmin
+      .from(table)
+      .select(fields)
+      .eq("inbox_id", inboxId)
+      .order("id", { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId) query = query.gt("id", lastId);
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+    lastId = data[data.length - 1].id;
+  }
+}
+
+async function updateByIds(table, ids, fields) {
+  for (const batch of chunk(ids, UPDATE_CHUNK_SIZE)) {
+    const { error } = await supabaseAdmin.from(table).update(fields).in("id", batch);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Compara contatos, grupos e chats da Evolution com chat_contacts / chat_conversations da inbox.
+ * Só roda com as três listas completas: com qualquer falha na Evolution nada é marcado.
+ * @param {object} inbox - { id, evolution_instance_name }
+ * @returns {Promise<{ success: boolean, error?: string, contacts?: object, conversations?: object }>}
+ */
+export async function reconcileInbox(inbox) {
+  const instanceName = inbox.evolution_instance_name;
+  const [contactsResult, groupsResult, chatsResult] = await Promise.all([
+    findContacts(instanceName),
+    fetchAllGroups(instanceName, { participants: false }),
+    fetchChatsSince(instanceName, null),
+  ]);
+  if (!contactsResult.success) return { success: false, error: `findContacts: ${contactsResult.error}` };
+  if (!groupsResult.success) return { success: false, error: `fetchAllGroups: ${groupsResult.error}` };
+  if (!chatsResult.success) return { success: false, error: `findChats: ${chatsResult.error}` };
+
+  const contactJids = new Set();
+  for (const contact of contactsResult.contacts || []) {
+    const jid = contact.id?.remoteJid ?? contact.remoteJid ?? contact.id;
+    if (typeof jid === "string") contactJids.add(jid);
+  }
+  const groupJids = new Set();
+  for (const group of groupsResult.groups || []) {
+    const jid = group.id?.remoteJid ?? group.id ?? group.remoteJid;
+    if (typeof jid === "string") groupJids.add(jid);
+  }
+  const chatJids = new Set(chatsResult.chats.map(chatRemoteJid).filter(Boolean));
+
+  // Instância recém-conectada ou com store vazio devolve listas vazias: não marca a inbox inteira
+  if (contactJids.size === 0 && chatJids.size === 0) {
+    return { success: false, error: "Evolution não retornou contatos nem chats" };
+  }
+
+  const now = new Date().toISOString();
+  const contacts = await loadAll(
+    "chat_contacts",
+    "id, remote_jid, contact_type, whatsapp_status",
+    inbox.id
+  );
+  // Lista vazia da Evolution com registros gravados costuma ser falha do store: esses registros ficam como estão
+  const hasGroupContacts = contacts.some((contact) => contact.contact_type === "group");
+  const hasIndividualContacts = contacts.some((contact) => contact.contact_type !== "group");
+  const skipGroups = groupJids.size === 0 && hasGroupContacts;
+  const skipContacts = contactJids.size === 0 && hasIndividualContacts;
+  const byStatus = { active: [], stale: [], left: [] };
+  const contactById = new Map();
+  for (const contact of contacts) {
+    contactById.set(contact.id, contact);
+    let status;
+    if (contact.contact_type === "group") {
+      if (skipGroups) continue;
+      status = groupJids.has(contact.remote_jid) ? "active" : "left";
+    } else {
+      if (skipContacts) continue;
+      const present = contactJids.has(contact.remote_jid) || chatJids.has(contact.remote_jid);
+      status = present ? "active" : "stale";
+    }
+    // Sem status gravado conta como "active"
+    if ((contact.whatsapp_status ?? "active") !== status) byStatus[status].push(contact.id);
+  }
+  await updateByIds("chat_contacts", byStatus.active, { whatsapp_status: "active", whatsapp_missing_since: null });
+  await updateByIds("chat_contacts", byStatus.stale, { whatsapp_status: "stale", whatsapp_missing_since: now });
+  await updateByIds("chat_contacts", byStatus.left, { whatsapp_status: "left", whatsapp_missing_since: now });
+
+  const conversations = await loadAll(
+    "chat_conversations",
+    "id, contact_id, chat_missing_at",
+    inbox.id
+  );
+  const skipConversations = chatJids.size === 0 && conversations.length > 0;
+  const missing = [];
+  const restored = [];
+  for (const conversation of skipConversations ? [] : conversations) {
+    const remoteJid = contactById.get(conversation.contact_id)?.remote_jid;
+    if (!remoteJid) continue;
+    const present = chatJids.has(remoteJid);
+    if (!present && !conversation.chat_missing_at) missing.push(conversation.id);
+    if (present && conversation.chat_missing_at) restored.push(conversation.id);
+  }
+  await updateByIds("chat_conversations", missing, { chat_missing_at: now });
+  await updateByIds("chat_conversations", restored, { chat_missing_at: null });
+
+  return {
+    success: true,
+    contacts: {
+      total: contacts.length,
+      stale: byStatus.stale.length,
+      left: byStatus.left.length,
+      reactivated: byStatus.active.length,
+      groups_skipped: skipGroups,
+      contacts_skipped: skipContacts,
+    },
+    conversations: {
+      total: conversations.length,
+      missing: missing.length,
+      restored: restored.length,
+      skipped: skipConversations,
+    },
+  };
+}
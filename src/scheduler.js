@@ -0,0 +1,72 @@
+/**
+ * Worker de mensagens agendadas.
+ * Mensagens com status "scheduled" em chat_messages entram na fila de envio (outbound.js) quando
+ * scheduled_at chega (scheduled → queued → sent/failed). Roda dentro deste serviço (1 réplica).
+ */
+
+import { supabaseAdmin } from "./supabase.js";
+import { enqueueMessage } from "./outbound.js";
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+
+/** Busca mensagens vencidas e coloca cada uma na fila, reservando-a antes (scheduled → queued). */
+async function processDueMessages() {
+  const { data: due, error } = await supabaseAdmin
+    .from("chat_messages")
+    .select("id")
+    .eq("status", "scheduled")
+    .lte("scheduled_at", new Date().toISOString())
+    .order("scheduled_at", { ascending: true })
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+
+  for (const msg of due || []) {
+    // Update condicional: se a mensagem foi cancelada/reagendada nesse meio tempo, não envia.
+    // Conteúdo vem da própria reserva: uma edição feita depois da busca já vale.
+    // created_at passa a ser o horário real do envio, para a mensagem ficar na posição certa da conversa.
+    const now = new Date().toISOString();
+    const { data: claimed } = await supabaseAdmin
+      .from("chat_messages")
+      .update({ status: "queued", created_at: now })
+      .eq("id", msg.id)
+      .eq("status", "scheduled")
+      .lte("scheduled_at", now)
+      .select("id, conversation_id, content")
+      .maybeSingle();
+    if (!claimed) continue;
+    try {
+      await enqueueMessage(msg.id, { text: claimed.content });
+    } catch (err) {
+      console.error("[scheduler] Erro ao enfileirar mensagem:", msg.id, err);
+      await supabaseAdmin.from("chat_messages").update({ status: "failed" }).eq("id", msg.id);
+      continue;
+    }
+    await supabaseAdmin
+      .from("chat_conversations")
+      .update({ updated_at: now })
+      .eq("id", claimed.conversation_id);
+  }
+}
+
+/** Inicia o loop do worker (no-op sem Supabase configurado). */
+export function startScheduler() {
+  if (!supabaseAdmin) {
+    console.warn("[scheduler] Supabase não configurado; mensagens agendadas não serão enviadas.");
+    return;
+  }
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueMessages();
+    } catch (err) {
+      console.error("[scheduler] Erro:", err);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+}
@@ -0,0 +1,1238 @@
+/**
+ * Sync de inbox (Especificação § 8.2) como job em background (tabela chat_sync_jobs).
+ * Fases: fetching → contacts → groups (metadados e participantes) → chats → history (se import_messages_days > 0) → finalizing.
+ * Progresso, contadores e erros são gravados no job; só um job ativo (queued/running) por inbox.
+ * Incremental: chat_inboxes.sync_watermark_at marca a última atividade de chat já sincronizada e
+ * chat_contacts.history_synced_* o intervalo de histórico já importado por chat; syncs seguintes
+ * paginam findChats/findMessages só até esses pontos.
+ * Dry-run (options.dryRun): mesmas consultas, sem gravar; o resultado do job traz o que seria criado
+ * ou atualizado por chat.
+ */
+
+import {
+  findContacts,
+  fetchAllGroups,
+  findChats,
+  findMessages,
+  getBase64FromMediaMessage,
+} from "./evolution.js";
+import { supabaseAdmin } from "./supabase.js";
+import {
+  extractMessageContent,
+  extractQuotedMessageId,
+  extractReaction,
+  extractMediaInfo,
+} from "./utils.js";
+import { parseMessagePayload } from "./messagePayload.js";
+import { saveMedia, mediaExtension } from "./mediaStorage.js";
+import { OWN_REACTOR_JID, saveReaction } from "./reactions.js";
+import { groupMetadataFields, saveGroupParticipants } from "./groups.js";
+
+const PROGRESS_FLUSH_MS = 2 * 1000;
+const MAX_JOB_ERRORS = 50;
+const ACTIVE_STATUSES = ["queued", "running"];
+const CHATS_PAGE_SIZE = 200;
+const MESSAGES_PAGE_SIZE = 100;
+const DB_CHUNK_SIZE = 500;
+const EVOLUTION_CONCURRENCY = Math.max(parseInt(process.env.SYNC_EVOLUTION_CONCURRENCY, 10) || 4, 1);
+const MEDIA_MAX_BYTES = parseInt(process.env.SYNC_MEDIA_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+/** Inboxes com job rodando neste processo (reforça o índice único parcial do banco). */
+const runningInboxes = new Set();
+
+class SyncCancelledError extends Error {
+  constructor() {
+    super("Sync cancelado");
+    this.name = "SyncCancelledError";
+  }
+}
+
+/** JID do chat retornado por findChats (formato varia entre versões da Evolution). */
+export function chatRemoteJid(chat) {
+  const remoteJid =
+    chat?.id?.remoteJid ??
+    chat?.id?._serialized ??
+    chat?.remoteJid ??
+    chat?.remote_jid ??
+    chat?.jid ??
+    chat?.id ??
+    null;
+  return typeof remoteJid === "string" ? remoteJid : null;
+}
+
+/** Timestamp (segundos) de uma mensagem da Evolution, ou null. */
+function messageTimestamp(message) {
+  const ts =
+    message?.messageTimestamp ??
+    message?.message_timestamp ??
+    message?.timestamp ??
+    message?.conversationTimestamp;
+  return ts != null && Number.isFinite(Number(ts)) ? Number(ts) : null;
+}
+
+/** Timestamp (segundos) da última atividade do chat: lastMessage ou updatedAt. */
+function chatActivityTimestamp(chat) {
+  const fromMessage = messageTimestamp(chat?.lastMessage);
+  if (fromMessage != null) return fromMessage;
+  const updatedAt = chat?.updatedAt ?? chat?.updated_at;
+  const ms = updatedAt ? new Date(updatedAt).getTime() : NaN;
+  return Number.isFinite(ms) ? ms / 1000 : null;
+}
+
+const toSeconds = (iso) => (iso ? new Date(iso).getTime() / 1000 : null);
+const toIso = (seconds) => new Date(seconds * 1000).toISOString();
+
+/**
+ * Pagina findChats (mais recentes primeiro). Com stopAtTs, para na primeira página em que todos os
+ * chats têm atividade até esse instante (nada mais novo adiante).
+ * @returns {Promise<{ success: boolean, chats: array, error?: string }>} chats parciais em caso de erro
+ */
+export async function fetchChatsSince(instanceName, stopAtTs) {
+  const chats = [];
+  let previousFirstJid = null;
+  for (let skip = 0; ; skip += CHATS_PAGE_SIZE) {
+    const result = await findChats(instanceName, { skip, take: CHATS_PAGE_SIZE });
+    if (!result.success) return { success: false, chats, error: result.error };
+    const page = result.chats || [];
+    // Evolution sem suporte a skip/take devolve todos os chats (ou repete a mesma página)
+    const firstJid = chatRemoteJid(page[0]);
+    if (skip > 0 && firstJid && firstJid === previousFirstJid) break;
+    chats.push(...page);
+    if (page.length !== CHATS_PAGE_SIZE) break;
+    if (
+      stopAtTs != null &&
+      page.every((chat) => {
+        const ts = chatActivityTimestamp(chat);
+        return ts != null && ts <= stopAtTs;
+      })
+    ) {
+      break;
+    }
+    previousFirstJid = firstJid;
+  }
+  return { success: true, chats };
+}
+
+/**
+ * Pagina findMessages de um chat desde sinceTs (segundos), até esgotar as páginas.
+ * @returns {Promise<{ success: boolean, messages: array, error?: string }>} mensagens parciais em caso de erro
+ */
+async function fetchMessagesSince(instanceName, remoteJid, sinceTs) {
+  const messages = [];
+  let previousFirstId = null;
+  for (let page = 1; ; page++) {
+    const result = await findMessages(instanceName, remoteJid, {
+      page,
+      pageSize: MESSAGES_PAGE_SIZE,
+      sinceTimestamp: sinceTs,
+    });
+    if (!result.success) return { success: false, messages, error: result.error };
+    const records = result.messages || [];
+    const firstId = records[0]?.key?.id ?? records[0]?.id ?? null;
+    if (page > 1 && firstId && firstId === previousFirstId) break;
+    // Filtra também aqui: versões antigas ignoram o filtro messageTimestamp
+    messages.push(...records.filter((m) => (messageTimestamp(m) ?? sinceTs) >= sinceTs));
+    if (records.length < MESSAGES_PAGE_SIZE) break;
+    if (result.pages != null && page >= result.pages) break;
+    previousFirstId = firstId;
+  }
+  return { success: true, messages };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Executa fn para cada item com no máximo `limit` execuções simultâneas (chamadas à Evolution).
+ * No primeiro erro (ex.: cancelamento), para de iniciar novos itens e propaga o erro.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  let failure = null;
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item);
+      } catch (err) {
+        failure = failure ?? err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  if (failure) throw failure;
+}
+
+/** Nome exibido de um chat de findChats (fallback: número do JID). */
+function chatDisplayName(chat, remoteJid) {
+  return (
+    chat?.name ??
+    chat?.pushName ??
+    chat?.contactName ??
+    chat?.subject ??
+    (remoteJid.replace(/@.*$/, "") || remoteJid)
+  );
+}
+
+const chatAvatarUrl = (chat) => chat?.profilePicUrl ?? chat?.pictureUrl ?? chat?.avatarUrl ?? null;
+
+/** Última mensagem que findChats trouxe junto com o chat, se houver. */
+function chatLastMessage(chat) {
+  const lastMessage =
+    chat?.lastMessage ??
+    (Array.isArray(chat?.messages) && chat.messages.length > 0
+      ? chat.messages[chat.messages.length - 1]
+      : null);
+  return lastMessage && typeof lastMessage === "object" ? lastMessage : null;
+}
+
+/**
+ * Fase "fetching": watermarks da inbox + contatos, grupos e chats da Evolution.
+ * Chats sem atividade nova só são deixados de fora se o histórico pedido já foi importado antes.
+ * @returns {Promise<object>} { inboxWatermarkTs, sinceTs, historyCovered, contacts, groups, chats, chatsComplete }
+ */
+async function fetchSyncSources(inbox, importMessagesDays, tracker) {
+  await tracker.setPhase("fetching");
+
+  const { data: watermarks } = await supabaseAdmin
+    .from("chat_inboxes")
+    .select("sync_watermark_at, history_synced_from")
+    .eq("id", inbox.id)
+    .single();
+  const inboxWatermarkTs = toSeconds(watermarks?.sync_watermark_at);
+  const inboxHistoryFromTs = toSeconds(watermarks?.history_synced_from);
+  const sinceTs = Date.now() / 1000 - importMessagesDays * 24 * 3600;
+  const historyCovered =
+    importMessagesDays === 0 || (inboxHistoryFromTs != null && inboxHistoryFromTs <= sinceTs);
+
+  const [findResult, groupsResult, chatsResult] = await Promise.all([
+    findContacts(inbox.evolution_instance_name),
+    fetchAllGroups(inbox.evolution_instance_name, { participants: true }),
+    fetchChatsSince(inbox.evolution_instance_name, historyCovered ? inboxWatermarkTs : null),
+  ]);
+  if (!findResult.success) tracker.addError(`findContacts: ${findResult.error}`);
+  if (!groupsResult.success) tracker.addError(`fetchAllGroups: ${groupsResult.error}`);
+  if (!chatsResult.success) tracker.addError(`findChats: ${chatsResult.error}`);
+  const contacts = findResult.success ? findResult.contacts || [] : [];
+  const groups = groupsResult.success ? groupsResult.groups || [] : [];
+  tracker.counts.contacts_total = contacts.length + groups.length;
+
+  return {
+    inboxWatermarkTs,
+    sinceTs,
+    historyCovered,
+    contacts,
+    groups,
+    chats: chatsResult.chats,
+    chatsComplete: chatsResult.success,
+  };
+}
+
+/**
+ * Chats com atividade depois do watermark da inbox (os demais são contados em chats_skipped).
+ * @returns {{ activeChats: Array<{ chat, remoteJid, isGroup }>, newestActivityTs: number|null }}
+ */
+function selectActiveChats(chats, inboxWatermarkTs, counts) {
+  let newestActivityTs = inboxWatermarkTs;
+  const activeChats = [];
+  for (const chat of chats) {
+    const remoteJid = chatRemoteJid(chat);
+    if (!remoteJid) continue;
+    const activityTs = chatActivityTimestamp(chat);
+    if (activityTs != null && (newestActivityTs == null || activityTs > newestActivityTs)) {
+      newestActivityTs = activityTs;
+    }
+    if (inboxWatermarkTs != null && activityTs != null && activityTs <= inboxWatermarkTs) {
+      counts.chats_skipped++;
+      continue;
+    }
+    activeChats.push({ chat, remoteJid, isGroup: remoteJid.includes("@g.us") });
+  }
+  return { activeChats, newestActivityTs };
+}
+
+/**
+ * Chats cujo histórico será importado: os de findChats ou, se vier vazio, contatos + grupos
+ * (fallback estilo Chatwoot).
+ * @returns {Map<string, { remoteJid, name, isGroup, avatarUrl, activityTs }>}
+ */
+function buildHistorySources(chats, contacts, groups) {
+  const sources = new Map();
+  if (chats.length > 0) {
+    for (const chat of chats) {
+      const remoteJid = chatRemoteJid(chat);
+      if (!remoteJid) continue;
+      sources.set(remoteJid, {
+        remoteJid,
+        name: chatDisplayName(chat, remoteJid),
+        isGroup: remoteJid.includes("@g.us"),
+        avatarUrl: chatAvatarUrl(chat),
+        activityTs: chatActivityTimestamp(chat),
+      });
+    }
+    return sources;
+  }
+  for (const c of contacts) {
+    const remoteJid = c.id?.remoteJid ?? c.remoteJid ?? c.id;
+    if (!remoteJid || typeof remoteJid !== "string" || String(remoteJid).endsWith("@g.us")) continue;
+    sources.set(remoteJid, {
+      remoteJid,
+      name: c.name ?? c.pushName ?? (String(remoteJid).replace(/@.*$/, "") || remoteJid),
+      isGroup: false,
+      avatarUrl: c.profilePicUrl ?? c.profile_pic_url ?? null,
+      activityTs: null,
+    });
+  }
+  for (const g of groups) {
+    const remoteJid = g.id?.remoteJid ?? g.id ?? g.remoteJid;
+    if (!remoteJid || typeof remoteJid !== "string" || !String(remoteJid).endsWith("@g.us")) continue;
+    sources.set(remoteJid, {
+      remoteJid,
+      name: g.subject ?? g.name ?? (String(remoteJid).replace(/@.*$/, "") || remoteJid),
+      isGroup: true,
+      avatarUrl: g.pictureUrl ?? g.picture_url ?? g.subjectPictureUrl ?? null,
+      activityTs: null,
+    });
+  }
+  return sources;
+}
+
+/**
+ * Janela de histórico a buscar para o chat, a partir do watermark do chat (chat_contacts.history_synced_*).
+ * @returns {{ fromTs, chatFromTs, chatUntilTs, chatCovered }|null} null quando não há nada novo
+ */
+function historyWindow(state, sinceTs, activityTs) {
+  const chatFromTs = toSeconds(state?.history_synced_from);
+  const chatUntilTs = toSeconds(state?.history_synced_until);
+  const chatCovered = chatFromTs != null && chatFromTs <= sinceTs;
+  if (chatCovered && chatUntilTs != null && activityTs != null && activityTs <= chatUntilTs) return null;
+  const fromTs = chatCovered && chatUntilTs != null ? Math.max(sinceTs, chatUntilTs) : sinceTs;
+  return { fromTs, chatFromTs, chatUntilTs, chatCovered };
+}
+
+/**
+ * Linha de chat_messages a partir de uma mensagem Evolution (null se não tiver conteúdo exibível).
+ * reply_to_message_id é resolvido na inserção (quotedId = key.id da mensagem citada).
+ */
+function buildMessageRow({ conversationId, isGroup, message }) {
+  const content =
+    extractMessageContent(message) ??
+    message?.text ??
+    message?.body ??
+    message?.message?.conversation ??
+    null;
+  if (content == null) return null;
+
+  const evolutionMessageId =
+    message?.key?.id ??
+    message?.key?.messageId ??
+    message?.id ??
+    message?.messageId ??
+    null;
+  const isFromMe =
+    message?.key?.fromMe ??
+    message?.key?.from_me ??
+    message?.fromMe ??
+    false;
+  const timestamp = messageTimestamp(message) ?? Date.now() / 1000;
+  const mediaInfo = extractMediaInfo(message);
+  return {
+    row: {
+      conversation_id: conversationId,
+      content: content || "",
+      direction: isFromMe ? "outgoing" : "incoming",
+      message_type: mediaInfo?.mediaType || message?.messageType || message?.type || "text",
+      status: isFromMe ? "sent" : "received",
+      evolution_message_id: evolutionMessageId,
+      participant_remote_jid: isGroup ? message?.key?.participant ?? null : null,
+      reply_to_message_id: null,
+      created_at: new Date(timestamp * 1000).toISOString(),
+      payload: parseMessagePayload(message),
+      media_mimetype: mediaInfo?.mimetype ?? null,
+      media_file_name: mediaInfo?.fileName ?? null,
+      media_size: mediaInfo?.size ?? null,
+      media_duration: mediaInfo?.durationSeconds ?? null,
+    },
+    quotedId: extractQuotedMessageId(message),
+    mediaInfo: evolutionMessageId ? mediaInfo : null,
+    key: message?.key,
+  };
+}
+
+/**
+ * Baixa a mídia da mensagem (base64 da Evolution), grava no storage e registra em chat_messages.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function storeMessageMedia(inbox, conversationId, messageId, key, mediaInfo) {
+  if (mediaInfo.size != null && mediaInfo.size > MEDIA_MAX_BYTES) {
+    return { success: false, error: `mídia maior que ${MEDIA_MAX_BYTES} bytes` };
+  }
+  const download = await getBase64FromMediaMessage(inbox.evolution_instance_name, key);
+  if (!download.success) return { success: false, error: download.error };
+
+  const buffer = Buffer.from(download.data.base64, "base64");
+  const mimetype = mediaInfo.mimetype || download.data.mimetype || null;
+  const ext = mediaExtension(mimetype, mediaInfo.fileName || download.data.fileName);
+  const storagePath = `${inbox.organization_id}/${inbox.id}/${conversationId}/${messageId}.${ext}`;
+  const saved = await saveMedia(storagePath, buffer, mimetype);
+  if (!saved.success) return saved;
+
+  const { error } = await supabaseAdmin
+    .from("chat_messages")
+    .update({ media_storage_path: saved.path, media_mimetype: mimetype, media_size: buffer.length })
+    .eq("id", messageId);
+  if (error) return { success: false, error: error.message };
+  return { success: true };
+}
+
+/**
+ * Acompanha o progresso de um job: contadores, fase e erros, gravados no máximo a cada 2 s.
+ * checkpoint() grava (se for a hora) e interrompe o sync quando o cancelamento foi pedido.
+ */
+function createJobTracker(jobId) {
+  const counts = {
+    contacts_total: 0,
+    contacts_processed: 0,
+    contacts_created: 0,
+    conversations_created: 0,
+    chats_total: 0,
+    chats_processed: 0,
+    chats_skipped: 0,
+    history_chats_total: 0,
+    history_chats_processed: 0,
+    history_chats_skipped: 0,
+    groups_participants_synced: 0,
+    messages_inserted: 0,
+    messages_failed: 0,
+    media_stored: 0,
+    media_failed: 0,
+  };
+  const errors = [];
+  let phase = "queued";
+  let lastFlush = 0;
+  let cancelRequested = false;
+
+  const flush = async (force) => {
+    if (!force && Date.now() - lastFlush < PROGRESS_FLUSH_MS) return;
+    lastFlush = Date.now();
+    const { data } = await supabaseAdmin
+      .from("chat_sync_jobs")
+      .update({ phase, progress: counts, errors, updated_at: new Date().toISOString() })
+      .eq("id", jobId)
+      .select("cancel_requested")
+      .maybeSingle();
+    if (data?.cancel_requested) cancelRequested = true;
+  };
+
+  return {
+    counts,
+    errors,
+    get phase() {
+      return phase;
+    },
+    async setPhase(next) {
+      phase = next;
+      await flush(true);
+      if (cancelRequested) throw new SyncCancelledError();
+    },
+    addError(message) {
+      if (errors.length < MAX_JOB_ERRORS) errors.push({ phase, message, at: new Date().toISOString() });
+    },
+    async checkpoint() {
+      await flush(false);
+      if (cancelRequested) throw new SyncCancelledError();
+    },
+  };
+}
+
+/**
+ * Executa o sync da inbox (contatos, grupos, chats e, opcionalmente, histórico).
+ * @param {object} inbox - { id, organization_id, evolution_instance_name }
+ * @param {object} options - { importMessagesDays }
+ * @param {object} tracker - createJobTracker()
+ * @returns {Promise<object>} Contadores no formato da resposta original do POST /inboxes/:inboxId/sync
+ */
+async function runInboxSync(inbox, { importMessagesDays }, tracker) {
+  const counts = tracker.counts;
+  const {
+    inboxWatermarkTs,
+    sinceTs,
+    historyCovered,
+    contacts,
+    groups,
+    chats,
+    chatsComplete,
+  } = await fetchSyncSources(inbox, importMessagesDays, tracker);
+  // Watermarks só avançam se nada falhou (senão o próximo sync repete o trecho)
+  let watermarkSafe = chatsComplete;
+
+  /** remote_jid → id em chat_contacts (preenchido conforme os contatos são gravados). */
+  const contactIds = new Map();
+  /** contact_id → id em chat_conversations. */
+  const conversationIds = new Map();
+
+  /**
+   * Grava contatos em lote (upsert em inbox_id + remote_jid). Só contato: conversa é criada apenas
+   * ao inserir mensagem. avatar_url só é sobrescrito quando vier valor; `fields` (ex.: metadados de
+   * grupo) entra na linha como está, então todas as entradas de uma chamada devem ter as mesmas chaves.
+   * @param {Array<{ remoteJid: string, name: string, contactType: string, avatarUrl?: string|null, fields?: object }>} entries
+   */
+  const upsertContacts = async (entries) => {
+    const byJid = new Map();
+    for (const entry of entries) {
+      if (entry.remoteJid && typeof entry.remoteJid === "string") byJid.set(entry.remoteJid, entry);
+    }
+    for (const batch of chunk([...byJid.values()], DB_CHUNK_SIZE)) {
+      // Contatos ainda não vistos neste sync: descobre quais já existem para contar os criados
+      const unknown = new Set(batch.filter((e) => !contactIds.has(e.remoteJid)).map((e) => e.remoteJid));
+      const existing = new Set();
+      if (unknown.size > 0) {
+        const { data } = await supabaseAdmin
+          .from("chat_contacts")
+          .select("remote_jid")
+          .eq("inbox_id", inbox.id)
+          .in("remote_jid", [...unknown]);
+        for (const row of data || []) existing.add(row.remote_jid);
+      }
+
+      const now = new Date().toISOString();
+      const toRow = (e) => ({
+        inbox_id: inbox.id,
+        organization_id: inbox.organization_id,
+        remote_jid: e.remoteJid,
+        source_id: e.remoteJid,
+        name: e.name,
+        contact_type: e.contactType,
+        updated_at: now,
+        ...e.fields,
+        ...(e.avatarUrl != null && { avatar_url: e.avatarUrl }),
+      });
+      // Com e sem avatar em requests separados: coluna ausente num upsert em lote viraria null
+      const withAvatar = batch.filter((e) => e.avatarUrl != null);
+      const withoutAvatar = batch.filter((e) => e.avatarUrl == null);
+      for (const group of [withAvatar, withoutAvatar]) {
+        if (group.length === 0) continue;
+        const { data: rows, error } = await supabaseAdmin
+          .from("chat_contacts")
+          .upsert(group.map(toRow), { onConflict: "inbox_id,remote_jid" })
+          .select("id, remote_jid");
+        if (error) {
+          tracker.addError(`chat_contacts (${group.length}): ${error.message}`);
+          continue;
+        }
+        for (const row of rows || []) {
+          if (unknown.has(row.remote_jid) && !existing.has(row.remote_jid)) counts.contacts_created++;
+          contactIds.set(row.remote_jid, row.id);
+        }
+      }
+    }
+  };
+
+  /** Garante conversa aberta para cada contato (busca as existentes e cria as que faltam em lote). */
+  const ensureConversations = async (ids) => {
+    const missing = [...new Set(ids)].filter((id) => id && !conversationIds.has(id));
+    for (const batch of chunk(missing, DB_CHUNK_SIZE)) {
+      const { data: existing } = await supabaseAdmin
+        .from("chat_conversations")
+        .select("id, contact_id")
+        .eq("inbox_id", inbox.id)
+        .in("contact_id", batch);
+      for (const row of existing || []) conversationIds.set(row.contact_id, row.id);
+
+      const toCreate = batch.filter((id) => !conversationIds.has(id));
+      if (toCreate.length === 0) continue;
+      const { data: created, error } = await supabaseAdmin
+        .from("chat_conversations")
+        .insert(
+          toCreate.map((contactId) => ({
+            inbox_id: inbox.id,
+            contact_id: contactId,
+            organization_id: inbox.organization_id,
+            status: "open",
+          }))
+        )
+        .select("id, contact_id");
+      if (error) {
+        tracker.addError(`chat_conversations (${toCreate.length}): ${error.message}`);
+        continue;
+      }
+      counts.conversations_created += created.length;
+      for (const row of created) conversationIds.set(row.contact_id, row.id);
+    }
+  };
+
+  /**
+   * Insere mensagens em lote (upsert em evolution_message_id ignorando as já importadas).
+   * Itens em ordem cronológica. Reações não viram mensagem: são aplicadas depois à mensagem alvo
+   * (se já importada), prevalecendo a última de cada reator.
+   * @param {Array<{ conversationId: string, remoteJid: string, isGroup: boolean, message: object }>} items
+   * @returns {Promise<{ inserted: number, failed: number }>}
+   */
+  const insertMessages = async (items) => {
+    const known = new Map(); // evolution_message_id → chat_messages.id
+    const lookup = async (evolutionIds) => {
+      const missing = [...new Set(evolutionIds)].filter((id) => id && !known.has(id));
+      for (const batch of chunk(missing, DB_CHUNK_SIZE)) {
+        const { data } = await supabaseAdmin
+          .from("chat_messages")
+          .select("id, evolution_message_id")
+          .in("evolution_message_id", batch);
+        for (const row of data || []) known.set(row.evolution_message_id, row.id);
+      }
+    };
+
+    const reactions = [];
+    const pending = [];
+    const seen = new Set();
+    for (const item of items) {
+      if (!item.conversationId || !item.message) continue;
+      const reaction = extractReaction(item.message);
+      if (reaction) {
+        reactions.push({ ...item, reaction });
+        continue;
+      }
+      const built = buildMessageRow(item);
+      if (!built) continue;
+      const evolutionId = built.row.evolution_message_id;
+      if (evolutionId && seen.has(evolutionId)) continue;
+      if (evolutionId) seen.add(evolutionId);
+      pending.push(built);
+    }
+
+    let inserted = 0;
+    let failed = 0;
+    const latestByConversation = new Map();
+    const unresolvedQuotes = [];
+    const withMedia = [];
+    for (const batch of chunk(pending, DB_CHUNK_SIZE)) {
+      await lookup(batch.map((p) => p.quotedId));
+      for (const p of batch) p.row.reply_to_message_id = known.get(p.quotedId) ?? null;
+
+      const { data: rows, error } = await supabaseAdmin
+        .from("chat_messages")
+        .upsert(
+          batch.map((p) => p.row),
+          { onConflict: "evolution_message_id", ignoreDuplicates: true }
+        )
+        .select("id, evolution_message_id, conversation_id, created_at");
+      if (error) {
+        failed += batch.length;
+        counts.messages_failed += batch.length;
+        tracker.addError(`chat_messages (${batch.length}): ${error.message}`);
+        continue;
+      }
+
+      inserted += rows.length;
+      for (const row of rows) {
+        if (row.evolution_message_id) known.set(row.evolution_message_id, row.id);
+        const latest = latestByConversation.get(row.conversation_id);
+        if (!latest || row.created_at > latest) latestByConversation.set(row.conversation_id, row.created_at);
+      }
+      const insertedIds = new Set(rows.map((r) => r.evolution_message_id).filter(Boolean));
+      for (const p of batch) {
+        if (!insertedIds.has(p.row.evolution_message_id)) continue;
+        if (p.quotedId && !p.row.reply_to_message_id) unresolvedQuotes.push(p);
+        if (p.mediaInfo) withMedia.push(p);
+      }
+    }
+
+    // Respostas cuja mensagem citada veio no mesmo lote
+    for (const p of unresolvedQuotes) {
+      const quotedRowId = known.get(p.quotedId);
+      if (!quotedRowId) continue;
+      await supabaseAdmin
+        .from("chat_messages")
+        .update({ reply_to_message_id: quotedRowId })
+        .eq("id", known.get(p.row.evolution_message_id));
+    }
+
+    await mapWithConcurrency(withMedia, EVOLUTION_CONCURRENCY, async (p) => {
+      const messageId = known.get(p.row.evolution_message_id);
+      const stored = await storeMessageMedia(inbox, p.row.conversation_id, messageId, p.key, p.mediaInfo);
+      if (stored.success) {
+        counts.media_stored++;
+      } else {
+        counts.media_failed++;
+        tracker.addError(`media ${p.row.evolution_message_id}: ${stored.error}`);
+      }
+    });
+
+    if (reactions.length > 0) {
+      await lookup(reactions.map((r) => r.reaction.targetId));
+      const finalReactions = new Map();
+      for (const { remoteJid, isGroup, message, reaction } of reactions) {
+        const targetId = known.get(reaction.targetId);
+        if (!targetId) continue;
+        const fromMe = message?.key?.fromMe ?? false;
+        const reactorJid = fromMe
+          ? OWN_REACTOR_JID
+          : (isGroup ? message?.key?.participant : null) ?? remoteJid;
+        finalReactions.set(`${targetId}:${reactorJid}`, { targetId, reactorJid, fromMe, emoji: reaction.emoji });
+      }
+      for (const r of finalReactions.values()) {
+        await saveReaction(r.targetId, r.reactorJid, r.fromMe, r.emoji);
+      }
+    }
+
+    for (const [conversationId, updatedAt] of latestByConversation) {
+      await supabaseAdmin
+        .from("chat_conversations")
+        .update({ updated_at: updatedAt })
+        .eq("id", conversationId);
+    }
+    return { inserted, failed };
+  };
+
+  /** JID → nome dos contatos da instância (nomeia participantes de grupo). */
+  const contactNames = new Map();
+
+  await tracker.setPhase("contacts");
+  for (const batch of chunk(contacts, DB_CHUNK_SIZE)) {
+    await tracker.checkpoint();
+    const entries = [];
+    for (const contact of batch) {
+      const remoteJid =
+        contact.id?.remoteJid ?? contact.remoteJid ?? contact.id;
+      if (!remoteJid || typeof remoteJid !== "string") continue;
+      if (remoteJid.endsWith("@g.us")) continue;
+      const knownName = contact.name ?? contact.pushName;
+      if (knownName) contactNames.set(remoteJid, knownName);
+      entries.push({
+        remoteJid,
+        name: contact.name ?? contact.pushName ?? remoteJid.replace(/@.*$/, "") ?? remoteJid,
+        contactType: "individual",
+        avatarUrl: contact.profilePicUrl ?? contact.profile_pic_url ?? null,
+      });
+    }
+    await upsertContacts(entries);
+    counts.contacts_processed += batch.length;
+  }
+
+  await tracker.setPhase("groups");
+  for (const batch of chunk(groups, DB_CHUNK_SIZE)) {
+    await tracker.checkpoint();
+    const entries = [];
+    for (const group of batch) {
+      const remoteJid =
+        group.id?.remoteJid ?? group.id ?? group.remoteJid;
+      if (!remoteJid || typeof remoteJid !== "string") continue;
+      if (!remoteJid.endsWith("@g.us")) continue;
+      entries.push({
+        remoteJid,
+        name: group.subject ?? group.name ?? remoteJid.replace(/@.*$/, "") ?? remoteJid,
+        contactType: "group",
+        avatarUrl: group.pictureUrl ?? group.picture_url ?? group.subjectPictureUrl ?? null,
+        fields: groupMetadataFields(group),
+        participants: group.participants,
+      });
+    }
+    await upsertContacts(entries);
+    counts.contacts_processed += batch.length;
+
+    // Participantes: só de grupos gravados e quando a Evolution devolveu a lista
+    await mapWithConcurrency(
+      entries.filter((e) => Array.isArray(e.participants) && contactIds.has(e.remoteJid)),
+      EVOLUTION_CONCURRENCY,
+      async (entry) => {
+        try {
+          await saveGroupParticipants(inbox, contactIds.get(entry.remoteJid), entry.participants, contactNames);
+          counts.groups_participants_synced++;
+        } catch (err) {
+          tracker.addError(`participantes ${entry.remoteJid}: ${err.message}`);
+        }
+      }
+    );
+  }
+
+  counts.chats_total = chats.length;
+
+  // 1) Chats com lastMessage (quando findChats retorna dados); sem atividade desde o watermark → ignora
+  await tracker.setPhase("chats");
+  const { activeChats, newestActivityTs } = selectActiveChats(chats, inboxWatermarkTs, counts);
+  for (const batch of chunk(activeChats, DB_CHUNK_SIZE)) {
+    await tracker.checkpoint();
+    await upsertContacts(
+      batch.map(({ chat, remoteJid, isGroup }) => ({
+        remoteJid,
+        name: chatDisplayName(chat, remoteJid),
+        contactType: isGroup ? "group" : "individual",
+        avatarUrl: chatAvatarUrl(chat),
+      }))
+    );
+
+    const withLastMessage = [];
+    for (const { chat, remoteJid, isGroup } of batch) {
+      const lastMessage = chatLastMessage(chat);
+      const contactId = contactIds.get(remoteJid);
+      if (contactId && lastMessage) {
+        withLastMessage.push({ contactId, remoteJid, isGroup, message: lastMessage });
+      }
+    }
+    await ensureConversations(withLastMessage.map((c) => c.contactId));
+    const { inserted } = await insertMessages(
+      withLastMessage.map(({ contactId, remoteJid, isGroup, message }) => ({
+        conversationId: conversationIds.get(contactId),
+        remoteJid,
+        isGroup,
+        message,
+      }))
+    );
+    counts.chats_processed += inserted;
+    counts.messages_inserted += inserted;
+  }
+
+  /**
+   * Importa o histórico do chat a partir do watermark do chat (chat_contacts.history_synced_*).
+   * activityTs: última atividade conhecida do chat (evita findMessages quando não há nada novo).
+   */
+  const importMessagesForContact = async (source, state) => {
+    const { remoteJid, isGroup, activityTs } = source;
+    const window = historyWindow(state, sinceTs, activityTs);
+    if (!window) {
+      counts.history_chats_skipped++;
+      return 0;
+    }
+    const { fromTs, chatFromTs, chatUntilTs, chatCovered } = window;
+
+    const fetched = await fetchMessagesSince(inbox.evolution_instance_name, remoteJid, fromTs);
+    let complete = fetched.success;
+    if (!fetched.success) tracker.addError(`findMessages ${remoteJid}: ${fetched.error}`);
+    const msgs = fetched.messages;
+
+    let contactId = contactIds.get(remoteJid) ?? state?.id ?? null;
+    let inserted = 0;
+    let newest = null;
+    if (msgs.length > 0) {
+      if (!contactIds.has(remoteJid)) {
+        await upsertContacts([
+          {
+            remoteJid,
+            name: source.name,
+            contactType: isGroup ? "group" : "individual",
+            avatarUrl: source.avatarUrl ?? null,
+          },
+        ]);
+      }
+      contactId = contactIds.get(remoteJid);
+      if (!contactId) return 0;
+      await ensureConversations([contactId]);
+      const conversationId = conversationIds.get(contactId);
+      if (!conversationId) return 0;
+
+      const byTs = (a, b) => (messageTimestamp(a) ?? 0) - (messageTimestamp(b) ?? 0);
+      const result = await insertMessages(
+        [...msgs].sort(byTs).map((message) => ({ conversationId, remoteJid, isGroup, message }))
+      );
+      inserted = result.inserted;
+      if (result.failed > 0) complete = false;
+      for (const msg of msgs) {
+        const ts = messageTimestamp(msg);
+        if (ts != null && (newest == null || ts >= messageTimestamp(newest))) newest = msg;
+      }
+    }
+
+    if (!complete) {
+      watermarkSafe = false;
+    } else if (contactId) {
+      const newestTs = newest ? messageTimestamp(newest) : null;
+      const untilTs = Math.max(chatUntilTs ?? fromTs, newestTs ?? fromTs);
+      await supabaseAdmin
+        .from("chat_contacts")
+        .update({
+          history_synced_from: toIso(chatCovered ? chatFromTs : sinceTs),
+          history_synced_until: toIso(untilTs),
+          history_last_message_id:
+            newest?.key?.id ?? newest?.id ?? state?.history_last_message_id ?? null,
+        })
+        .eq("id", contactId);
+    }
+    return inserted;
+  };
+
+  // 2) Importar histórico: quando findChats trouxer chats, usa os chats; senão fallback por findContacts + grupos (estilo Chatwoot)
+  if (importMessagesDays > 0) {
+    await tracker.setPhase("history");
+    const historySources = buildHistorySources(chats, contacts, groups);
+    counts.history_chats_total = historySources.size;
+
+    for (const batch of chunk([...historySources.values()], DB_CHUNK_SIZE)) {
+      // Watermarks de histórico dos chats do lote em uma consulta
+      const states = new Map();
+      const { data: stateRows } = await supabaseAdmin
+        .from("chat_contacts")
+        .select("id, remote_jid, history_synced_from, history_synced_until, history_last_message_id")
+        .eq("inbox_id", inbox.id)
+        .in("remote_jid", batch.map((s) => s.remoteJid));
+      for (const row of stateRows || []) states.set(row.remote_jid, row);
+
+      await mapWithConcurrency(batch, EVOLUTION_CONCURRENCY, async (source) => {
+        await tracker.checkpoint();
+        counts.history_chats_processed++;
+        // Soma depois do await: "+= await" leria o contador antes das outras execuções concorrentes
+        const inserted = await importMessagesForContact(source, states.get(source.remoteJid));
+        counts.messages_inserted += inserted;
+      });
+    }
+  }
+
+  await tracker.setPhase("finalizing");
+  if (counts.messages_failed > 0) watermarkSafe = false;
+  const { count: convCount } = await supabaseAdmin
+    .from("chat_conversations")
+    .select("*", { count: "exact", head: true })
+    .eq("inbox_id", inbox.id);
+  const { count: contactCount } = await supabaseAdmin
+    .from("chat_contacts")
+    .select("*", { count: "exact", head: true })
+    .eq("inbox_id", inbox.id);
+
+  await supabaseAdmin
+    .from("chat_inboxes")
+    .update({
+      contacts_count: contactCount ?? 0,
+      conversations_count: convCount ?? 0,
+      updated_at: new Date().toISOString(),
+      ...(watermarkSafe && newestActivityTs != null && { sync_watermark_at: toIso(newestActivityTs) }),
+      ...(watermarkSafe &&
+        importMessagesDays > 0 &&
+        !historyCovered && { history_synced_from: toIso(sinceTs) }),
+    })
+    .eq("id", inbox.id);
+
+  return {
+    contacts_processed: contacts.length + groups.length,
+    contacts_created: counts.contacts_created,
+    conversations_created: counts.conversations_created,
+    chats_processed: counts.chats_processed,
+    chats_skipped: counts.chats_skipped,
+    messages_inserted: counts.messages_inserted,
+  };
+}
+
+/**
+ * Simulação do sync (dry-run): consulta a Evolution com as mesmas regras de watermark e compara com
+ * chat_contacts, chat_conversations e chat_messages sem gravar nada além do próprio job.
+ * Mensagens já importadas nunca são reescritas pelo sync; aparecem em `existing`.
+ * @returns {Promise<object>} { dry_run, totals, chats } — chats lista só os que teriam mudanças
+ */
+async function runInboxDryRun(inbox, { importMessagesDays }, tracker) {
+  const counts = tracker.counts;
+  const { inboxWatermarkTs, sinceTs, contacts, groups, chats } = await fetchSyncSources(
+    inbox,
+    importMessagesDays,
+    tracker
+  );
+
+  /** remote_jid → dados que o sync gravaria em chat_contacts (a última fonte prevalece, como no sync). */
+  const planned = new Map();
+  const plan = (remoteJid, fields) => {
+    if (!remoteJid || typeof remoteJid !== "string") return;
+    const previous = planned.get(remoteJid);
+    planned.set(remoteJid, {
+      ...previous,
+      ...fields,
+      avatarUrl: fields.avatarUrl ?? previous?.avatarUrl ?? null,
+    });
+  };
+  for (const contact of contacts) {
+    const remoteJid = contact.id?.remoteJid ?? contact.remoteJid ?? contact.id;
+    if (typeof remoteJid !== "string" || remoteJid.endsWith("@g.us")) continue;
+    plan(remoteJid, {
+      name: contact.name ?? contact.pushName ?? (remoteJid.replace(/@.*$/, "") || remoteJid),
+      isGroup: false,
+      avatarUrl: contact.profilePicUrl ?? contact.profile_pic_url ?? null,
+    });
+  }
+  for (const group of groups) {
+    const remoteJid = group.id?.remoteJid ?? group.id ?? group.remoteJid;
+    if (typeof remoteJid !== "string" || !remoteJid.endsWith("@g.us")) continue;
+    const { group_metadata_updated_at, ...metadata } = groupMetadataFields(group);
+    plan(remoteJid, {
+      name: group.subject ?? group.name ?? (remoteJid.replace(/@.*$/, "") || remoteJid),
+      isGroup: true,
+      avatarUrl: group.pictureUrl ?? group.picture_url ?? group.subjectPictureUrl ?? null,
+      metadata,
+    });
+  }
+
+  counts.chats_total = chats.length;
+  await tracker.setPhase("chats");
+  const { activeChats } = selectActiveChats(chats, inboxWatermarkTs, counts);
+  /** remote_jid → mensagens Evolution que o sync tentaria inserir no chat. */
+  const chatMessages = new Map();
+  const addMessages = (remoteJid, messages) => {
+    if (!chatMessages.has(remoteJid)) chatMessages.set(remoteJid, []);
+    chatMessages.get(remoteJid).push(...messages);
+  };
+  for (const { chat, remoteJid, isGroup } of activeChats) {
+    plan(remoteJid, { name: chatDisplayName(chat, remoteJid), isGroup, avatarUrl: chatAvatarUrl(chat) });
+    const lastMessage = chatLastMessage(chat);
+    if (lastMessage) addMessages(remoteJid, [lastMessage]);
+    counts.chats_processed++;
+  }
+
+  const existingContacts = new Map();
+  const loadContacts = async (jids) => {
+    const missing = jids.filter((jid) => !existingContacts.has(jid));
+    for (const batch of chunk(missing, DB_CHUNK_SIZE)) {
+      const { data, error } = await supabaseAdmin
+        .from("chat_contacts")
+        .select(
+          "id, remote_jid, name, avatar_url, group_description, group_owner_jid, group_size, history_synced_from, history_synced_until"
+        )
+        .eq("inbox_id", inbox.id)
+        .in("remote_jid", batch);
+      if (error) throw error;
+      for (const row of data || []) existingContacts.set(row.remote_jid, row);
+    }
+  };
+
+  if (importMessagesDays > 0) {
+    await tracker.setPhase("history");
+    const historySources = buildHistorySources(chats, contacts, groups);
+    counts.history_chats_total = historySources.size;
+    for (const batch of chunk([...historySources.values()], DB_CHUNK_SIZE)) {
+      await loadContacts(batch.map((source) => source.remoteJid));
+      await mapWithConcurrency(batch, EVOLUTION_CONCURRENCY, async (source) => {
+        await tracker.checkpoint();
+        counts.history_chats_processed++;
+        const window = historyWindow(existingContacts.get(source.remoteJid), sinceTs, source.activityTs);
+        if (!window) {
+          counts.history_chats_skipped++;
+          return;
+        }
+        const fetched = await fetchMessagesSince(inbox.evolution_instance_name, source.remoteJid, window.fromTs);
+        if (!fetched.success) tracker.addError(`findMessages ${source.remoteJid}: ${fetched.error}`);
+        if (fetched.messages.length === 0) return;
+        if (!planned.has(source.remoteJid) && !existingContacts.has(source.remoteJid)) {
+          plan(source.remoteJid, { name: source.name, isGroup: source.isGroup, avatarUrl: source.avatarUrl });
+        }
+        addMessages(source.remoteJid, fetched.messages);
+      });
+    }
+  }
+
+  await tracker.setPhase("finalizing");
+  await loadContacts([...planned.keys()]);
+
+  // Conversas existentes dos contatos que receberiam mensagens
+  const contactsWithMessages = [...chatMessages.keys()]
+    .map((jid) => existingContacts.get(jid)?.id)
+    .filter(Boolean);
+  const withConversation = new Set();
+  for (const batch of chunk(contactsWithMessages, DB_CHUNK_SIZE)) {
+    const { data, error } = await supabaseAdmin
+      .from("chat_conversations")
+      .select("contact_id")
+      .eq("inbox_id", inbox.id)
+      .in("contact_id", batch);
+    if (error) throw error;
+    for (const row of data || []) withConversation.add(row.contact_id);
+  }
+
+  // Mensagens já importadas (evolution_message_id é único em chat_messages)
+  const messageIds = new Map();
+  for (const [remoteJid, messages] of chatMessages) {
+    const ids = new Set();
+    let withoutId = 0;
+    for (const message of messages) {
+      if (extractReaction(message)) continue;
+      const built = buildMessageRow({ conversationId: null, isGroup: remoteJid.includes("@g.us"), message });
+      if (!built) continue;
+      if (built.row.evolution_message_id) ids.add(built.row.evolution_message_id);
+      else withoutId++;
+    }
+    messageIds.set(remoteJid, { ids, withoutId });
+  }
+  const storedIds = new Set();
+  const allIds = [...messageIds.values()].flatMap(({ ids }) => [...ids]);
+  for (const batch of chunk(allIds, DB_CHUNK_SIZE)) {
+    const { data, error } = await supabaseAdmin
+      .from("chat_messages")
+      .select("evolution_message_id")
+      .in("evolution_message_id", batch);
+    if (error) throw error;
+    for (const row of data || []) storedIds.add(row.evolution_message_id);
+  }
+
+  const totals = {
+    contacts: { create: 0, update: 0, unchanged: 0 },
+    conversations: { create: 0 },
+    messages: { create: 0, existing: 0 },
+    chats_with_changes: 0,
+    chats_unchanged: 0,
+  };
+  const contactAction = (remoteJid) => {
+    const next = planned.get(remoteJid);
+    const current = existingContacts.get(remoteJid);
+    if (!current) return "create";
+    const changed =
+      next.name !== current.name ||
+      (next.avatarUrl != null && next.avatarUrl !== current.avatar_url) ||
+      (next.metadata != null &&
+        (next.metadata.group_description !== current.group_description ||
+          next.metadata.group_owner_jid !== current.group_owner_jid ||
+          next.metadata.group_size !== current.group_size));
+    return changed ? "update" : "unchanged";
+  };
+  for (const remoteJid of planned.keys()) totals.contacts[contactAction(remoteJid)]++;
+
+  const chatReports = [];
+  for (const [remoteJid, { ids, withoutId }] of messageIds) {
+    let existing = 0;
+    for (const id of ids) if (storedIds.has(id)) existing++;
+    const create = ids.size - existing + withoutId;
+    const contactId = existingContacts.get(remoteJid)?.id;
+    let conversation = null;
+    if (create + existing > 0) {
+      conversation = contactId && withConversation.has(contactId) ? "existing" : "create";
+    }
+    const contact = planned.has(remoteJid) ? contactAction(remoteJid) : "unchanged";
+
+    totals.messages.create += create;
+    totals.messages.existing += existing;
+    if (conversation === "create") totals.conversations.create++;
+    if (create === 0 && contact === "unchanged" && conversation !== "create") {
+      totals.chats_unchanged++;
+      continue;
+    }
+    totals.chats_with_changes++;
+    chatReports.push({
+      remote_jid: remoteJid,
+      name: planned.get(remoteJid)?.name ?? existingContacts.get(remoteJid)?.name ?? null,
+      is_group: remoteJid.includes("@g.us"),
+      contact,
+      conversation,
+      messages: { create, existing },
+    });
+  }
+  chatReports.sort((a, b) => b.messages.create - a.messages.create);
+
+  return { dry_run: true, import_messages_days: importMessagesDays, totals, chats: chatReports };
+}
+
+/** Executa o job e grava o status final (completed, failed ou cancelled). */
+async function runJob(job, inbox, options) {
+  const tracker = createJobTracker(job.id);
+  runningInboxes.add(inbox.id);
+  let final;
+  try {
+    await supabaseAdmin
+      .from("chat_sync_jobs")
+      .update({ status: "running", started_at: new Date().toISOString() })
+      .eq("id", job.id);
+    if (options.dryRun) {
+      const result = await runInboxDryRun(inbox, options, tracker);
+      final = { status: "completed", result };
+      console.log("[sync] Dry-run OK:", { inboxId: inbox.id, jobId: job.id, ...result.totals });
+    } else {
+      const result = await runInboxSync(inbox, options, tracker);
+      final = { status: "completed", result };
+      console.log("[sync] OK:", {
+        inboxId: inbox.id,
+        jobId: job.id,
+        ...result,
+        import_messages_days: options.importMessagesDays || 0,
+      });
+    }
+  } catch (err) {
+    if (err instanceof SyncCancelledError) {
+      final = { status: "cancelled" };
+    } else {
+      console.error("[sync] Error:", err);
+      tracker.addError(err.message);
+      final = { status: "failed" };
+    }
+  } finally {
+    runningInboxes.delete(inbox.id);
+  }
+  await supabaseAdmin
+    .from("chat_sync_jobs")
+    .update({
+      ...final,
+      phase: tracker.phase,
+      progress: tracker.counts,
+      errors: tracker.errors,
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", job.id);
+}
+
+/** Job ativo (queued/running) da inbox, se houver. */
+export async function getActiveSyncJob(inboxId) {
+  const { data } = await supabaseAdmin
+    .from("chat_sync_jobs")
+    .select("id, status, phase, created_at")
+    .eq("inbox_id", inboxId)
+    .in("status", ACTIVE_STATUSES)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data ?? null;
+}
+
+/**
+ * Cria o job e inicia o sync em background (sem aguardar).
+ * @returns {Promise<{ job?: object, activeJob?: object }>} activeJob quando já existe sync em andamento
+ */
+export async function startSyncJob(inbox, options, userId) {
+  const activeJob = await getActiveSyncJob(inbox.id);
+  if (activeJob || runningInboxes.has(inbox.id)) {
+    return { activeJob: activeJob ?? { id: null, status: "running" } };
+  }
+
+  const { data: job, error } = await supabaseAdmin
+    .from("chat_sync_jobs")
+    .insert({
+      inbox_id: inbox.id,
+      organization_id: inbox.organization_id,
+      status: "queued",
+      phase: "queued",
+      options: { import_messages_days: options.importMessagesDays || 0, dry_run: Boolean(options.dryRun) },
+      created_by: userId,
+    })
+    .select()
+    .single();
+  // 23505: índice único parcial (um job ativo por inbox) — outra requisição criou o job antes
+  if (error?.code === "23505") {
+    return { activeJob: await getActiveSyncJob(inbox.id) };
+  }
+  if (error) throw error;
+
+  runJob(job, inbox, options).catch((err) => console.error("[sync] Job error:", err));
+  return { job };
+}
+
+/**
+ * Pede o cancelamento do job; o sync para no próximo checkpoint.
+ * @returns {Promise<object|null>} Job atualizado ou null se não estiver ativo
+ */
+export async function requestSyncCancel(inboxId, jobId) {
+  const { data } = await supabaseAdmin
+    .from("chat_sync_jobs")
+    .update({ cancel_requested: true, updated_at: new Date().toISOString() })
+    .eq("id", jobId)
+    .eq("inbox_id", inboxId)
+    .in("status", ACTIVE_STATUSES)
+    .select("id, status, phase, cancel_requested")
+    .maybeSingle();
+  return data ?? null;
+}
+
+/** Na subida do serviço, jobs que ficaram ativos (restart no meio do sync) são marcados como failed. */
+export async function recoverInterruptedSyncJobs() {
+  if (!supabaseAdmin) return;
+  const { error } = await supabaseAdmin
+    .from("chat_sync_jobs")
+    .update({
+      status: "failed",
+      errors: [{ phase: "restart", message: "Interrompido por reinício do serviço", at: new Date().toISOString() }],
+      finished_at: new Date().toISOString(),
+    })
+    .in("status", ACTIVE_STATUSES);
+  if (error) console.error("[sync] Erro ao recuperar jobs:", error.message);
+}
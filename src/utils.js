@@ -24,12 +24,39 @@ export function slugify(text) {
     .toLowerCase() || "channel";
 }
 
+const WRAPPER_FIELDS = {
+  ephemeralMessage: "ephemeral",
+  viewOnceMessage: "view_once",
+  viewOnceMessageV2: "view_once",
+  viewOnceMessageV2Extension: "view_once",
+  documentWithCaptionMessage: null,
+};
+
+/**
+ * Remove os wrappers (ephemeralMessage, viewOnceMessage*, documentWithCaptionMessage) do conteúdo
+ * de uma mensagem Evolution.
+ * @returns {{ message: object|string|null, ephemeral: boolean, viewOnce: boolean }}
+ */
+export function unwrapMessage(msg) {
+  let message = msg?.message ?? msg;
+  const flags = { ephemeral: false, viewOnce: false };
+  for (let depth = 0; depth < 5 && message && typeof message === "object"; depth++) {
+    const field = Object.keys(WRAPPER_FIELDS).find((key) => message[key]?.message);
+    if (!field) break;
+    if (WRAPPER_FIELDS[field] === "ephemeral") flags.ephemeral = true;
+    if (WRAPPER_FIELDS[field] === "view_once") flags.viewOnce = true;
+    message = message[field].message;
+  }
+  return { message: message ?? null, ...flags };
+}
+
 /**
  * Extrai conteúdo da mensagem Evolution para exibição (texto ou placeholder [Imagem], [Áudio], etc.).
  * Usado no sync (index.js) e será reutilizado em flunx-rabbitmq-api.
+ * Reações não viram mensagem (retorna null); use extractReaction.
  */
 export function extractMessageContent(msg) {
-  const message = msg?.message ?? msg;
+  const { message } = unwrapMessage(msg);
   if (!message) return null;
   if (typeof message === "string") return message;
   if (message.conversation) return message.conversation;
@@ -44,6 +71,230 @@ export function extractMessageContent(msg) {
   if (message.stickerMessage) return "[Sticker]";
   if (message.contactMessage)
     return `[Contato] ${message.contactMessage.displayName || ""}`;
-  if (message.locationMessage) return "[Localização]";
+  if (message.contactsArrayMessage)
+    return `[Contatos] ${message.contactsArrayMessage.displayName || ""}`.trim();
+  if (message.locationMessage) {
+    const place = message.locationMessage.name || message.locationMessage.address;
+    return place ? `[Localização] ${place}` : "[Localização]";
+  }
+  if (message.liveLocationMessage) return "[Localização em tempo real]";
+  const poll =
+    message.pollCreationMessage ?? message.pollCreationMessageV2 ?? message.pollCreationMessageV3;
+  if (poll) return `[Enquete] ${poll.name || ""}`.trim();
+  if (message.buttonsResponseMessage)
+    return message.buttonsResponseMessage.selectedDisplayText || "[Resposta de botão]";
+  if (message.templateButtonReplyMessage)
+    return message.templateButtonReplyMessage.selectedDisplayText || "[Resposta de botão]";
+  if (message.listResponseMessage)
+    return message.listResponseMessage.title || "[Resposta de lista]";
+  if (message.interactiveResponseMessage)
+    return message.interactiveResponseMessage.body?.text || "[Resposta interativa]";
+  if (message.buttonsMessage) return message.buttonsMessage.contentText || "[Botões]";
+  if (message.listMessage)
+    return message.listMessage.description || message.listMessage.title || "[Lista]";
+  return null;
+}
+
+/**
+ * Extrai reação (reactionMessage) de uma mensagem Evolution.
+ * @returns {{ targetId: string, emoji: string }|null} emoji "" indica remoção da reação
+ */
+export function extractReaction(msg) {
+  const reaction = unwrapMessage(msg).message?.reactionMessage;
+  const targetId = reaction?.key?.id;
+  if (!targetId) return null;
+  return { targetId, emoji: reaction.text ?? "" };
+}
+
+/**
+ * ID (key.id) da mensagem citada, quando a mensagem Evolution é uma resposta.
+ * Evolution v2 expõe contextInfo no topo; v1 dentro do tipo da mensagem.
+ */
+export function extractQuotedMessageId(msg) {
+  if (msg?.contextInfo?.stanzaId) return msg.contextInfo.stanzaId;
+  const { message } = unwrapMessage(msg?.message);
+  if (!message || typeof message !== "object") return null;
+  for (const value of Object.values(message)) {
+    if (value?.contextInfo?.stanzaId) return value.contextInfo.stanzaId;
+  }
+  return null;
+}
+
+const MEDIA_MESSAGE_TYPES = {
+  imageMessage: "image",
+  stickerMessage: "image",
+  videoMessage: "video",
+  audioMessage: "audio",
+  documentMessage: "document",
+};
+
+/**
+ * Metadados da mídia de uma mensagem Evolution (imagem, vídeo, áudio, documento, sticker).
+ * @returns {{ mediaType: string, mimetype: string|null, fileName: string|null, size: number|null, durationSeconds: number|null }|null}
+ */
+export function extractMediaInfo(msg) {
+  const { message } = unwrapMessage(msg);
+  if (!message || typeof message !== "object") return null;
+  for (const [field, mediaType] of Object.entries(MEDIA_MESSAGE_TYPES)) {
+    const media = message[field];
+    if (!media) continue;
+    const size = Number(media.fileLength?.low ?? media.fileLength);
+    const duration = Number(media.seconds);
+    return {
+      mediaType,
+      mimetype: media.mimetype ?? null,
+      fileName: media.fileName ?? null,
+      size: Number.isFinite(size) && size > 0 ? size : null,
+      durationSeconds: Number.isFinite(duration) && duration > 0 ? duration : null,
+    };
+  }
   return null;
 }
+
+/** Remove o sufixo do JID (@s.whatsapp.net, @g.us) para envio via Evolution. */
+export function jidToNumber(remoteJid) {
+  return String(remoteJid || "").replace(/@s.whatsapp.net/, "").replace(/@g.us/, "");
+}
+
+/**
+ * Formata um número de telefone brasileiro para exibição.
+ * Ex: 5562999288205 -> (62) 99928-8205
+ * @param {string} jid - JID completo (ex: 5562999288205@s.whatsapp.net)
+ * @returns {string} Número formatado
+ */
+export function formatBrazilianPhone(jid) {
+  if (!jid) return "";
+  // Remove @s.whatsapp.net e 55 do início
+  const number = jid.replace(/@.*$/, "").replace(/^55/, "");
+  if (number.length === 11) {
+    // Celular: (XX) XXXXX-XXXX
+    return `(${number.slice(0, 2)}) ${number.slice(2, 7)}-${number.slice(7)}`;
+  } else if (number.length === 10) {
+    // Fixo: (XX) XXXX-XXXX
+    return `(${number.slice(0, 2)}) ${number.slice(2, 6)}-${number.slice(6)}`;
+  }
+  return number;
+}
+
+/**
+ * Normaliza um telefone digitado para número com DDI (só dígitos).
+ * Sem "+", números de 10 ou 11 dígitos são tratados como brasileiros sem DDI (recebem 55).
+ * Retorna null se inválido. Ex.: "(62) 99928-8205" -> "5562999288205", "+1 415 555 0100" -> "14155550100"
+ */
+export function normalizePhoneNumber(phone) {
+  const raw = String(phone ?? "").trim();
+  let digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) {
+    return digits.length >= 8 && digits.length <= 15 ? digits : null;
+  }
+  if (digits.length === 10 || digits.length === 11) digits = `55${digits}`;
+  if (digits.length < 12 || digits.length > 15) return null;
+  return digits;
+}
+
+const MEDIA_PLACEHOLDERS = {
+  image: "[Imagem]",
+  video: "[Vídeo]",
+  audio: "[Áudio]",
+  document: "[Documento]",
+};
+
+/**
+ * Tipo de mídia (image, video, audio, document) a partir do mimetype.
+ * Qualquer mimetype não reconhecido é enviado como documento.
+ */
+export function mediaTypeFromMimetype(mimetype) {
+  const type = String(mimetype || "").split("/")[0].toLowerCase();
+  if (type === "image" || type === "video" || type === "audio") return type;
+  return "document";
+}
+
+/**
+ * Conteúdo de exibição para mídia enviada, no mesmo formato de extractMessageContent
+ * (ex.: "[Imagem] legenda", "[Documento] proposta.pdf").
+ */
+export function mediaPlaceholder(mediaType, caption, fileName) {
+  const label = MEDIA_PLACEHOLDERS[mediaType] || MEDIA_PLACEHOLDERS.document;
+  if (caption) return `${label} ${caption}`;
+  if (mediaType === "document" && fileName) return `${label} ${fileName}`;
+  return label;
+}
+
+/** Legenda de volta a partir do texto gravado por mediaPlaceholder (null se não havia legenda). */
+export function captionFromPlaceholder(mediaType, content, fileName) {
+  const label = MEDIA_PLACEHOLDERS[mediaType] || MEDIA_PLACEHOLDERS.document;
+  if (!content?.startsWith(`${label} `)) return null;
+  const caption = content.slice(label.length + 1);
+  if (mediaType === "document" && caption === fileName) return null;
+  return caption || null;
+}
+
+/** Key Evolution ({ remoteJid, fromMe, id, participant? }) de uma linha de chat_messages. */
+export function messageKey(message, remoteJid) {
+  return {
+    remoteJid,
+    fromMe: message.direction === "outgoing",
+    id: message.evolution_message_id,
+    ...(message.participant_remote_jid && { participant: message.participant_remote_jid }),
+  };
+}
+
+/**
+ * Monta o payload "quoted" da Evolution a partir de uma linha de chat_messages.
+ * @param {object} quotedMsg - { evolution_message_id, direction, content, participant_remote_jid }
+ * @param {string} remoteJid - JID do chat da conversa
+ */
+export function buildQuotedPayload(quotedMsg, remoteJid) {
+  return {
+    key: messageKey(quotedMsg, remoteJid),
+    message: { conversation: quotedMsg.content || "" },
+  };
+}
+
+/**
+ * Substitui placeholders {{caminho.da.variavel}} pelos valores de vars.
+ * Ex.: renderTemplate("Olá {{contact.name}}", { contact: { name: "Ana" } }) -> "Olá Ana".
+ * Placeholder sem valor vira string vazia.
+ */
+export function renderTemplate(template, vars = {}) {
+  return String(template ?? "").replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = path.split(".").reduce((obj, part) => (obj == null ? undefined : obj[part]), vars);
+    return value == null ? "" : String(value);
+  });
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Mescla source sobre target recursivamente (objetos simples; demais valores substituem). */
+function deepMerge(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source ?? {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Variáveis para renderTemplate: {{contact.name}}, {{contact.phone}}, {{inbox.name}}, {{agent.name}}, {{agent.email}}.
+ * Variáveis extras (ex.: enviadas pelo frontend) são mescladas por cima: { contact: { company } } acrescenta
+ * {{contact.company}} e mantém {{contact.name}}.
+ * @param {object} sources - { contact?: chat_contacts, inbox?: chat_inboxes, user?: usuário Supabase Auth }
+ * @param {object} [extra] - Variáveis adicionais
+ */
+export function templateVars({ contact, inbox, user } = {}, extra = {}) {
+  const meta = user?.user_metadata ?? {};
+  const builtIn = {
+    contact: {
+      name: contact?.name ?? "",
+      phone: formatBrazilianPhone(contact?.remote_jid),
+    },
+    inbox: { name: inbox?.name ?? "" },
+    agent: {
+      name: meta.full_name ?? meta.name ?? user?.email ?? "",
+      email: user?.email ?? "",
+    },
+  };
+  return deepMerge(builtIn, isPlainObject(extra) ? extra : {});
+}